@@ -1,5 +1,14 @@
 import 'dotenv/config';
 import pkg from '@slack/bolt';
+import ExcelJS from 'exceljs';
+import crypto from 'node:crypto';
+import { watchFile } from 'node:fs';
+import fs from 'node:fs/promises';
+import http from 'node:http';
+import path from 'node:path';
+import readline from 'node:readline';
+import { Readable } from 'node:stream';
+import { fileURLToPath } from 'node:url';
 const { App } = pkg;
 
 // --- Socket Mode Bolt app (no ExpressReceiver) ---
@@ -17,39 +26,199 @@ const PREFIX = (process.env.SKU_PREFIX || 'C').toUpperCase();
 const SEP = (process.env.SKU_SEPARATOR || '-'); // '-' or '_' etc.
 const SKU_TYPE_INDEX = Number(process.env.SKU_TYPE_INDEX ?? 2); // 0:C,1:CAR,2:TYPE
 const SKU_CAR_INDEX  = Number(process.env.SKU_CAR_INDEX  ?? 1);
+// The four settings above describe the default grammar. For several product lines, set
+// SKU_GRAMMAR (inline JSON) or drop a sku-grammar.json in data/ — see "SKU grammar" below.
 
 // Background refresh cadence (minutes). Default 20.
 const REFRESH_INTERVAL_MIN = Math.max(5, parseInt(process.env.REFRESH_INTERVAL_MIN || '20', 10));
+// /ready reports stale once the last good refresh is older than this (minutes). Default 3 intervals.
+const STALE_AFTER_MIN = parseInt(process.env.STALE_AFTER_MIN || String(REFRESH_INTERVAL_MIN * 3), 10);
+// Shared secret for GET/POST /refresh (?token=… or Authorization: Bearer …). Unset = endpoint disabled.
+const REFRESH_TOKEN = process.env.REFRESH_TOKEN || '';
 // Add small jitter so multiple apps don’t spike at the same instant.
 const JITTER_SEC = Math.floor(Math.random() * 30);
 
 // Shopify API version (centralized)
 const SHOPIFY_VERSION = process.env.SHOPIFY_API_VERSION || '2025-10';
 
+// Variants per page and inventory levels (locations) per variant.
+// Nested inventoryLevels multiply the query cost, so keep
+// VARIANTS_PAGE_SIZE * LOCATIONS_PER_VARIANT comfortably under Shopify's 1000-point cap.
+const VARIANTS_PAGE_SIZE = Math.min(250, Math.max(1, parseInt(process.env.VARIANTS_PAGE_SIZE || '40', 10)));
+const LOCATIONS_PER_VARIANT = Math.min(50, Math.max(1, parseInt(process.env.LOCATIONS_PER_VARIANT || '8', 10)));
+
+// Full rebuild strategy: 'bulk' (Bulk Operation + JSONL), 'paged' (productVariants pages)
+// or 'auto' (bulk once the catalog has at least BULK_MIN_VARIANTS variants).
+const REFRESH_MODE = (process.env.REFRESH_MODE || 'auto').toLowerCase();
+const BULK_MIN_VARIANTS = parseInt(process.env.BULK_MIN_VARIANTS || '2000', 10);
+const BULK_POLL_SEC = Math.max(1, parseInt(process.env.BULK_POLL_SEC || '5', 10));
+const BULK_TIMEOUT_MIN = Math.max(1, parseInt(process.env.BULK_TIMEOUT_MIN || '15', 10));
+
+// Shopify webhooks (HMAC is signed with the app's client secret)
+const SHOPIFY_WEBHOOK_SECRET = process.env.SHOPIFY_WEBHOOK_SECRET || '';
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/webhooks/shopify';
+
+// Local state that survives restarts (the deploy keeps data/ between rsyncs)
+const DATA_DIR = process.env.DATA_DIR || path.join(path.dirname(fileURLToPath(import.meta.url)), 'data');
+const INDEX_FILE = path.join(DATA_DIR, 'sku-index.json');
+const HISTORY_FILE = path.join(DATA_DIR, 'stock-history.jsonl');
+const HISTORY_RETENTION_DAYS = Math.max(1, parseInt(process.env.HISTORY_RETENTION_DAYS || '90', 10));
+const ALERTS_FILE = path.join(DATA_DIR, 'stock-alerts.json');
+const WATCHES_FILE = path.join(DATA_DIR, 'stock-watches.json');
+const SKU_GRAMMAR_FILE = process.env.SKU_GRAMMAR_FILE || path.join(DATA_DIR, 'sku-grammar.json');
+const CATALOG_FILE = process.env.CATALOG_FILE || path.join(DATA_DIR, 'catalog.json');
+const AUDIT_FILE = path.join(DATA_DIR, 'audit.jsonl');
+const AUTOREPLY_FILE = path.join(DATA_DIR, 'autoreply-channels.json');
+const PRESETS_FILE = path.join(DATA_DIR, 'presets.json');
+const HOME_VIEWERS_FILE = path.join(DATA_DIR, 'home-viewers.json');
+// Scheduled reports (/stock-report). Cron times use the process time zone (set TZ to pin it).
+const REPORTS_FILE = path.join(DATA_DIR, 'reports.json');
+
+// Slack user ids allowed to run admin commands (/stock-config reload). Empty = everyone.
+const ADMIN_USER_IDS = (process.env.ADMIN_USER_IDS || '').split(',').map(x => x.trim()).filter(Boolean);
+
+// Inventory adjustments from Slack. With approvers set, everyone else's adjustments
+// wait for one of them to click Approve (posted to ADJUST_APPROVAL_CHANNEL, else the requester's channel).
+const ADJUST_APPROVER_IDS = (process.env.ADJUST_APPROVER_IDS || '').split(',').map(x => x.trim()).filter(Boolean);
+const ADJUST_APPROVAL_CHANNEL = process.env.ADJUST_APPROVAL_CHANNEL || '';
+
+// SKU auto-replies (/stock-autoreply on): replies per channel per minute, and how long
+// the same SKU stays quiet in the same thread
+const AUTOREPLY_MAX_PER_MIN = Math.max(1, parseInt(process.env.AUTOREPLY_MAX_PER_MIN || '6', 10));
+const AUTOREPLY_DEDUPE_MIN = Math.max(1, parseInt(process.env.AUTOREPLY_DEDUPE_MIN || '30', 10));
+
+// Fallback channel for low-stock alerts until one is picked in /stock-alerts
+const LOW_STOCK_CHANNEL = process.env.LOW_STOCK_CHANNEL || '';
+
+// Override the GraphQL endpoint (e.g. http://localhost:4000/graphql.json for a local mock)
+const SHOPIFY_GRAPHQL_URL = process.env.SHOPIFY_GRAPHQL_URL || '';
+
+// shopifyGQL resilience: per-request timeout and retries for 429 / 5xx / THROTTLED / network errors
+const SHOPIFY_TIMEOUT_SEC = Math.max(1, parseInt(process.env.SHOPIFY_TIMEOUT_SEC || '30', 10));
+const SHOPIFY_MAX_RETRIES = Math.max(0, parseInt(process.env.SHOPIFY_MAX_RETRIES || '5', 10));
+const SHOPIFY_BACKOFF_BASE_MS = Math.max(50, parseInt(process.env.SHOPIFY_BACKOFF_BASE_MS || '1000', 10));
+const SHOPIFY_BACKOFF_MAX_MS = 60 * 1000;
+
+// Several shops: SHOPIFY_STORES='[{"id":"us","label":"US","domain":"us.myshopify.com","token":"shpat_…"},…]'
+// Optional per store: refreshIntervalMin, webhookSecret, graphqlUrl. Without it the single
+// SHOPIFY_DOMAIN / SHOPIFY_ADMIN_TOKEN shop is the only store.
+const SHOPIFY_STORES = process.env.SHOPIFY_STORES || '';
+
 /* =========================
    Shopify Admin GraphQL
 ========================= */
-async function shopifyGQL(query, variables) {
-  const url = `https://${process.env.SHOPIFY_DOMAIN}/admin/api/${SHOPIFY_VERSION}/graphql.json`;
-  const resp = await fetch(url, {
-    method: 'POST',
-    headers: {
-      'X-Shopify-Access-Token': process.env.SHOPIFY_ADMIN_TOKEN,
-      'Content-Type': 'application/json',
-      // Header is optional but explicit; URL version is what matters most
-      'Shopify-API-Version': SHOPIFY_VERSION,
-    },
-    body: JSON.stringify({ query, variables }),
-  });
+const sleep = (ms) => new Promise(r => setTimeout(r, ms));
+
+// Each store keeps the last throttleStatus Shopify reported (store.throttle), the cost each
+// query asked for last time (store.requestedCost) and running totals (store.usage).
+// Requests wait until the bucket has (by estimate) refilled enough for the next one.
+function estimatedAvailable(store) {
+  const t = store.throttle;
+  if (!t) return Infinity;
+  return Math.min(t.maximumAvailable, t.currentlyAvailable + t.restoreRate * (Date.now() - t.at) / 1000);
+}
+
+async function waitForBudget(store, query) {
+  const needed = store.requestedCost.get(query);
+  const t = store.throttle;
+  if (!needed || !t?.restoreRate) return;
+  const missing = Math.min(needed, t.maximumAvailable) - estimatedAvailable(store);
+  if (missing <= 0) return;
+  const waitMs = Math.ceil(missing / t.restoreRate * 1000);
+  store.usage.throttledMs += waitMs;
+  await sleep(waitMs);
+}
+
+function recordCost(store, query, cost) {
+  if (!cost) return;
+  if (cost.requestedQueryCost != null) {
+    store.requestedCost.set(query, cost.requestedQueryCost);
+    store.usage.requestedCost += cost.requestedQueryCost;
+  }
+  store.usage.actualCost += cost.actualQueryCost ?? 0;
+  if (cost.throttleStatus) store.throttle = { ...cost.throttleStatus, at: Date.now() };
+}
+
+// Retry-After is either seconds or an HTTP date
+function retryAfterMs(resp) {
+  const h = resp.headers.get('retry-after');
+  if (!h) return null;
+  const secs = Number(h);
+  if (Number.isFinite(secs)) return Math.max(0, secs * 1000);
+  const at = Date.parse(h);
+  return Number.isNaN(at) ? null : Math.max(0, at - Date.now());
+}
+
+// Exponential backoff with "equal jitter": half fixed, half random
+function backoffMs(attempt) {
+  const ceiling = Math.min(SHOPIFY_BACKOFF_MAX_MS, SHOPIFY_BACKOFF_BASE_MS * 2 ** attempt);
+  return ceiling / 2 + Math.random() * ceiling / 2;
+}
+
+// Errors shopifyGQL() may retry; delayMs overrides the backoff when Shopify says how long to wait.
+// outcomeUnknown: the request may have reached Shopify and run (timeouts, dropped connections, 5xx).
+function retryable(message, delayMs = null, outcomeUnknown = false) {
+  return Object.assign(new Error(message), { retryable: true, delayMs, outcomeUnknown });
+}
+
+// store defaults to the primary one (see "Stores" below).
+// Mutations pass { retry: false }: retrying a request whose outcome is unknown could apply it twice.
+async function shopifyGQL(query, variables, store = primaryStore, { retry = true } = {}) {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await shopifyGQLOnce(store, query, variables);
+    } catch (err) {
+      if (!retry || !err.retryable || attempt >= SHOPIFY_MAX_RETRIES) throw err;
+      const delay = err.delayMs ?? backoffMs(attempt);
+      console.warn(`⏳ ${storeTag(store)}Shopify ${err.message}; retry ${attempt + 1}/${SHOPIFY_MAX_RETRIES} in ${(delay / 1000).toFixed(1)}s`);
+      store.usage.retries++;
+      await sleep(delay);
+    }
+  }
+}
+
+async function shopifyGQLOnce(store, query, variables) {
+  await waitForBudget(store, query);
+  const url = store.graphqlUrl || `https://${store.domain}/admin/api/${SHOPIFY_VERSION}/graphql.json`;
+  store.usage.calls++;
+  let resp;
+  try {
+    resp = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'X-Shopify-Access-Token': store.token,
+        'Content-Type': 'application/json',
+        // Header is optional but explicit; URL version is what matters most
+        'Shopify-API-Version': SHOPIFY_VERSION,
+      },
+      body: JSON.stringify({ query, variables }),
+      signal: AbortSignal.timeout(SHOPIFY_TIMEOUT_SEC * 1000),
+    });
+  } catch (err) {
+    // Timeouts and connection resets are worth another try
+    const what = err?.name === 'TimeoutError' ? `request timed out after ${SHOPIFY_TIMEOUT_SEC}s` : `request failed (${err?.cause?.code || err?.message || err})`;
+    throw retryable(what, null, true);
+  }
 
   if (!resp.ok) {
     const text = await resp.text();
+    if (resp.status === 429 || resp.status >= 500) {
+      throw retryable(`HTTP ${resp.status}`, retryAfterMs(resp), resp.status >= 500);
+    }
     throw new Error(`Shopify HTTP ${resp.status}: ${text}`);
   }
 
   const json = await resp.json();
+  recordCost(store, query, json.extensions?.cost);
 
   if (json.errors && json.errors.length) {
+    if (json.errors.some(e => e?.extensions?.code === 'THROTTLED')) {
+      // Wait exactly as long as the bucket needs to refill for this query
+      const t = store.throttle;
+      const needed = json.extensions?.cost?.requestedQueryCost;
+      const delay = t?.restoreRate && needed ? Math.ceil(Math.max(0, needed - t.currentlyAvailable) / t.restoreRate * 1000) : null;
+      throw retryable('THROTTLED', delay);
+    }
     console.error('❗Shopify GraphQL errors:', JSON.stringify(json.errors, null, 2));
     throw new Error('Shopify GraphQL returned errors (see previous line).');
   }
@@ -71,23 +240,48 @@ const SANITY_GQL = `
   }
 `;
 
-// Page all variants and read inventoryQuantity
-const VARIANTS_PAGE_GQL = `
-  query ($after: String) {
-    productVariants(first: 250, after: $after) {
-      pageInfo { hasNextPage endCursor }
+// Shopify inventory states read per location; 'available' drives in-stock/OOS, the rest are shown on request
+const INVENTORY_STATES = ['available', 'committed', 'incoming', 'on_hand', 'reserved'];
+const EXTRA_STATES = INVENTORY_STATES.filter(n => n !== 'available');
+
+// The variant fields addVariantToIndex reads, shared by the paged, single-item and bulk queries.
+// levelArgs limits inventoryLevels; bulk queries pass none (every level streams as its own line).
+const variantNodeFields = (levelArgs = '') => `
+  id
+  title
+  sku
+  inventoryQuantity
+  product { id title handle tags vendor }
+  inventoryItem {
+    id
+    inventoryLevels${levelArgs} {
       edges {
         node {
-          id
-          title
-          sku
-          inventoryQuantity
-          product { title handle }
+          location { id name }
+          quantities(names: ${JSON.stringify(INVENTORY_STATES)}) { name quantity }
         }
       }
     }
   }
 `;
+const VARIANT_NODE_FIELDS = variantNodeFields(`(first: ${LOCATIONS_PER_VARIANT})`);
+
+// Page all variants and read inventoryQuantity (+ per-location states via inventory levels)
+const VARIANTS_PAGE_GQL = `
+  query ($after: String) {
+    productVariants(first: ${VARIANTS_PAGE_SIZE}, after: $after) {
+      pageInfo { hasNextPage endCursor }
+      edges { node { ${VARIANT_NODE_FIELDS} } }
+    }
+  }
+`;
+
+// One variant by inventory item (webhooks for items the index doesn't hold)
+const INVENTORY_ITEM_VARIANT_GQL = `
+  query ($id: ID!) {
+    inventoryItem(id: $id) { variant { ${VARIANT_NODE_FIELDS} } }
+  }
+`;
 
 // Diagnostic “count without inventory” (helps if above ever fails)
 const VARIANTS_PAGE_NOINV_GQL = `
@@ -99,31 +293,31 @@ const VARIANTS_PAGE_NOINV_GQL = `
   }
 `;
 
-async function sanityCheckShopify() {
+async function sanityCheckShopify(store = primaryStore) {
   try {
-    const data = await shopifyGQL(SANITY_GQL, {});
+    const data = await shopifyGQL(SANITY_GQL, {}, store);
     const shopName = data?.data?.shop?.name || '(unknown shop)';
     const sample = (data?.data?.productVariants?.edges || []).map(e => e.node?.sku || '(empty)');
-    console.log(`🧪 Shopify sanity: shop="${shopName}", sample SKUs: ${sample.join(' | ')}`);
+    console.log(`🧪 ${storeTag(store)}Shopify sanity: shop="${shopName}", sample SKUs: ${sample.join(' | ')}`);
     return true;
   } catch (err) {
-    console.error('🧪 Shopify sanity check FAILED:', err);
+    console.error(`🧪 ${storeTag(store)}Shopify sanity check FAILED:`, err);
     return false;
   }
 }
 
-async function countAllVariantsNoInventory() {
+async function countAllVariantsNoInventory(store) {
   let count = 0, after = null;
   try {
     while (true) {
-      const res = await shopifyGQL(VARIANTS_PAGE_NOINV_GQL, { after });
+      const res = await shopifyGQL(VARIANTS_PAGE_NOINV_GQL, { after }, store);
       const edges = res?.data?.productVariants?.edges || [];
       count += edges.length;
       if (res?.data?.productVariants?.pageInfo?.hasNextPage) {
         after = res.data.productVariants.pageInfo.endCursor;
       } else break;
     }
-    console.log(`🔢 Diagnostic: total variants WITHOUT inventory fields = ${count}`);
+    console.log(`🔢 ${storeTag(store)}Diagnostic: total variants WITHOUT inventory fields = ${count}`);
   } catch (e) {
     console.error('❗Diagnostic (no inventory) failed:', e);
   }
@@ -131,105 +325,173 @@ async function countAllVariantsNoInventory() {
 }
 
 /* =========================
-   In-memory Index
+   Shopify Bulk Operations (full rebuilds on big catalogs)
 ========================= */
-let skuIndex = {
-  types: new Set(),               // Set<string>
-  carsByType: new Map(),          // Map<type, Set<car>>
-  inStockByTypeCar: new Map(),    // Map<`${type}::${car}`, Array<{sku, suffix, available}>>
-  outOfStockByTypeCar: new Map(), // Map<`${type}::${car}`, Array<{sku, suffix, available: 0}>>
-};
-
-function parseSku(rawSku) {
-  if (!rawSku) return null;
-  const upper = String(rawSku).trim().toUpperCase();
+const VARIANTS_COUNT_GQL = `
+  { productVariantsCount { count } }
+`;
 
-  // Accept "C" or "C-" style beginnings
-  if (!(upper === PREFIX || upper.startsWith(PREFIX + SEP))) return null;
+// Same fields as VARIANTS_PAGE_GQL, minus pagination (bulk queries stream every node).
+// inventoryLevels come back as separate JSONL lines carrying __parentId.
+const VARIANTS_BULK_QUERY = `
+  {
+    productVariants {
+      edges { node { ${variantNodeFields()} } }
+    }
+  }
+`;
 
-  const parts = upper.split(SEP);
-  if (parts.length <= Math.max(SKU_TYPE_INDEX, SKU_CAR_INDEX)) return null;
+const BULK_RUN_GQL = `
+  mutation ($query: String!) {
+    bulkOperationRunQuery(query: $query) {
+      bulkOperation { id status }
+      userErrors { field message }
+    }
+  }
+`;
 
-  const car  = (parts[SKU_CAR_INDEX]  || '').toUpperCase();
-  const type = (parts[SKU_TYPE_INDEX] || '').toUpperCase();
-  if (!car || !type) return null;
+const CURRENT_BULK_GQL = `
+  { currentBulkOperation { id status createdAt } }
+`;
 
-  // Suffix = everything AFTER the first three parts (prefix, car, type)
-  const suffix = parts.slice(3).join(SEP); // may be empty if SKU has only 3 parts
+const BULK_STATUS_GQL = `
+  query ($id: ID!) {
+    node(id: $id) {
+      ... on BulkOperation { id status errorCode objectCount url partialDataUrl }
+    }
+  }
+`;
 
-  return { car, type, suffix, parts };
+// Start the bulk operation and return its id. The mutation isn't retried (a retry after a lost
+// response hits "already in progress"); when its outcome is unknown, an operation created since
+// we sent it is ours to poll.
+async function startBulkOperation(store, query) {
+  const sentAt = Date.now();
+  let res;
+  try {
+    res = await shopifyGQL(BULK_RUN_GQL, { query }, store, { retry: false });
+  } catch (err) {
+    if (!err.outcomeUnknown) throw err;
+    const cur = (await shopifyGQL(CURRENT_BULK_GQL, {}, store))?.data?.currentBulkOperation;
+    // a minute of slack for clock skew between us and Shopify
+    if (!cur?.id || Date.parse(cur.createdAt) < sentAt - 60 * 1000) throw err;
+    console.warn(`⚠️ ${storeTag(store)}bulkOperationRunQuery ${err.message}; polling the operation it started (${cur.id}, ${cur.status})`);
+    return cur.id;
+  }
+  const payload = res?.data?.bulkOperationRunQuery;
+  if (payload?.userErrors?.length) {
+    throw new Error(`bulkOperationRunQuery userErrors: ${payload.userErrors.map(e => e.message).join('; ')}`);
+  }
+  const id = payload?.bulkOperation?.id;
+  if (!id) throw new Error('bulkOperationRunQuery returned no operation id');
+  console.log(`📦 ${storeTag(store)}Bulk operation started: ${id}`);
+  return id;
 }
 
-async function refreshSkuIndex() {
-  const idx = { types: new Set(), carsByType: new Map(), inStockByTypeCar: new Map(), outOfStockByTypeCar: new Map() };
+async function runBulkQuery(store, query) {
+  const id = await startBulkOperation(store, query);
 
-  let sample = { total: 0, listed: 0, items: [] };
+  const deadline = Date.now() + BULK_TIMEOUT_MIN * 60 * 1000;
+  while (Date.now() < deadline) {
+    await sleep(BULK_POLL_SEC * 1000);
+    const st = await shopifyGQL(BULK_STATUS_GQL, { id }, store);
+    const op = st?.data?.node;
+    if (!op) throw new Error(`Bulk operation ${id} not found`);
+    if (store.progress) store.progress.phase = `bulk operation ${op.status.toLowerCase()} (${op.objectCount || 0} objects)`;
+    if (op.status === 'COMPLETED') {
+      console.log(`📦 ${storeTag(store)}Bulk operation completed: ${op.objectCount} objects`);
+      return op.url; // null when the query matched nothing
+    }
+    if (['FAILED', 'CANCELED', 'EXPIRED'].includes(op.status)) {
+      throw new Error(`Bulk operation ${id} ${op.status}${op.errorCode ? ` (${op.errorCode})` : ''}`);
+    }
+  }
+  throw new Error(`Bulk operation ${id} did not finish within ${BULK_TIMEOUT_MIN} min`);
+}
 
-  let after = null;
-  try {
-    while (true) {
-      const data = await shopifyGQL(VARIANTS_PAGE_GQL, { after });
-      const pv = data?.data?.productVariants;
-      const edges = pv?.edges || [];
-
-      for (const e of edges) {
-        const v = e.node;
-        const raw = (v.sku || '').trim();
-        sample.total++;
-        if (sample.listed < 20) { sample.items.push(raw || '(empty)'); sample.listed++; }
-
-        const parsed = parseSku(raw);
-        if (!parsed) continue;
-
-        const { car, type, suffix } = parsed;
-        const available = Number(v.inventoryQuantity ?? 0);
-
-        idx.types.add(type);
-        if (!idx.carsByType.has(type)) idx.carsByType.set(type, new Set());
-        idx.carsByType.get(type).add(car);
-
-        const key = `${type}::${car}`;
-if (available > 0) {
-  if (!idx.inStockByTypeCar.has(key)) idx.inStockByTypeCar.set(key, []);
-  idx.inStockByTypeCar.get(key).push({
-    sku: raw,
-    suffix,       // for display
-    available
-  });
-} else {
-  // Only include OOS if product title does NOT contain "Z Internal"
-  const title = (v?.product?.title || '').toUpperCase();
-  if (!title.includes('Z INTERNAL')) {
-    if (!idx.outOfStockByTypeCar.has(key)) idx.outOfStockByTypeCar.set(key, []);
-    idx.outOfStockByTypeCar.get(key).push({
-      sku: raw,
-      suffix,
-      available: 0
-    });
+// Stream the JSONL result line by line; onLine gets each parsed object.
+async function streamJsonl(url, onLine) {
+  const resp = await fetch(url);
+  if (!resp.ok || !resp.body) throw new Error(`Bulk result download HTTP ${resp.status}`);
+  const rl = readline.createInterface({ input: Readable.fromWeb(resp.body), crlfDelay: Infinity });
+  for await (const line of rl) {
+    if (!line.trim()) continue;
+    onLine(JSON.parse(line));
   }
 }
-      }
 
-      if (pv?.pageInfo?.hasNextPage) after = pv.pageInfo.endCursor; else break;
+// Fetch every variant through a bulk operation and hand each one, reassembled into the
+// VARIANTS_PAGE_GQL node shape, to onVariant as the file streams in. Shopify writes child
+// lines (inventory levels, __parentId = the variant or its inventory item) right after their
+// parent, so a variant is complete once the next top-level line arrives. Levels that show up
+// before their parent are held until it does.
+async function fetchVariantsBulk(store, onVariant) {
+  const url = await runBulkQuery(store, VARIANTS_BULK_QUERY);
+  if (!url) return;
+
+  let current = null;        // the variant whose levels are still arriving
+  const orphans = new Map(); // parent id -> levels seen before their parent
+  const owns = (v, parentId) => parentId === v.id || parentId === v.inventoryItem.id;
+  const emit = () => {
+    if (current) onVariant(current);
+    current = null;
+  };
+
+  if (store.progress) store.progress.phase = 'downloading bulk results';
+  await streamJsonl(url, (obj) => {
+    if (obj.__parentId) {
+      if (current && owns(current, obj.__parentId)) {
+        current.inventoryItem.inventoryLevels.edges.push({ node: obj });
+      } else {
+        if (!orphans.has(obj.__parentId)) orphans.set(obj.__parentId, []);
+        orphans.get(obj.__parentId).push(obj);
+      }
+      return;
     }
-  } catch (err) {
-    console.error('❗Index build failed while fetching variants (inventoryQuantity):', err);
-    await countAllVariantsNoInventory();
-  }
+    if (!String(obj.id || '').includes('/ProductVariant/')) return;
+    emit();
+    obj.inventoryItem = { ...(obj.inventoryItem || {}), inventoryLevels: { edges: [] } };
+    for (const parentId of [obj.id, obj.inventoryItem.id]) {
+      const early = orphans.get(parentId);
+      if (!early) continue;
+      obj.inventoryItem.inventoryLevels.edges.push(...early.map(node => ({ node })));
+      orphans.delete(parentId);
+    }
+    current = obj;
+  });
+  emit();
 
-  console.log('🔎 Sample SKUs:', sample.items.join(' | '));
-  console.log(`🔢 Total variants scanned: ${sample.total}`);
+  for (const [parentId, levels] of orphans) {
+    console.warn(`⚠️ Bulk: ${levels.length} inventory level(s) without a known parent:`, parentId);
+  }
+}
 
-  skuIndex = idx;
-  const totalCars = [...idx.carsByType.values()].reduce((a, s) => a + s.size, 0);
-  console.log(`🔄 SKU index refreshed: ${idx.types.size} types, ${totalCars} cars total`);
+// Page through productVariants (the original path, and the fallback when bulk fails).
+async function fetchVariantsPaged(store, onVariant) {
+  let after = null;
+  while (true) {
+    const data = await shopifyGQL(VARIANTS_PAGE_GQL, { after }, store);
+    const pv = data?.data?.productVariants;
+    if (store.progress) store.progress.pages++;
+    for (const e of pv?.edges || []) onVariant(e.node);
+    if (pv?.pageInfo?.hasNextPage) after = pv.pageInfo.endCursor; else break;
+  }
 }
 
 /* =========================
-   Slack helpers (custom type order + slim text)
+   Catalog config (data/catalog.json, hot-reloaded)
+   {
+     "typeOrder": ["STEERINGWHEEL", …],
+     "displayNames": { "types": { "DRIVERASSISTMODULE": "Driver Assist Module" }, "cars": { … } },
+     "carAliases": { "F80": "M3" },            // merged into the canonical code at index time
+     "exclusions": [                           // field: title | tag | vendor | sku
+       { "field": "title", "contains": "Z INTERNAL", "appliesTo": "oos" },
+       { "field": "sku", "pattern": "-SAMPLE$" } // appliesTo: all (default) | in_stock | oos
+     ]
+   }
+   Aliases and exclusions change what gets indexed, so editing them triggers a refresh.
 ========================= */
-
-// Your preferred type order
+// Your preferred type order (used when catalog.json has no typeOrder)
 const TYPE_PRIORITY = [
   'STEERINGWHEEL',
   'MAGPADDLES',
@@ -240,397 +502,3798 @@ const TYPE_PRIORITY = [
   'BACKCOVER',
 ];
 
-// Build TYPE options in custom order, then all others A→Z
-function optionsFromTypesWithPriority(set) {
-  const types = [...set].map(t => t.toUpperCase());
-  const first = TYPE_PRIORITY.filter(t => types.includes(t));
-  const rest = types.filter(t => !TYPE_PRIORITY.includes(t)).sort();
-  const ordered = [...first, ...rest];
-  return ordered.map(val => ({
-    text: { type: 'plain_text', text: val, emoji: true },
-    value: val,
-  }));
-}
+const DEFAULT_CATALOG = {
+  typeOrder: TYPE_PRIORITY,
+  displayNames: { types: {}, cars: {} },
+  carAliases: {},
+  // Historical rule: "Z Internal" products never show as out of stock
+  exclusions: [{ field: 'title', contains: 'Z INTERNAL', appliesTo: 'oos' }],
+};
 
-// Generic A→Z options builder (used for cars)
-function optionsFromSet(set) {
-  return [...set].sort().slice(0, 100).map(val => ({
-    text: { type: 'plain_text', text: val, emoji: true },
-    value: val
-  }));
-}
+let catalogConfig = compileCatalog(DEFAULT_CATALOG);
 
-// Sorting helpers
-function sortByQtyDesc(arr) {
-  return [...arr].sort((a, b) => b.available - a.available);
-}
-function sortBySuffixAsc(arr) {
-  return [...arr].sort((a, b) => (a.suffix || '').localeCompare(b.suffix || ''));
+function upperKeys(obj) {
+  return Object.fromEntries(Object.entries(obj || {}).map(([k, v]) => [k.toUpperCase(), v]));
 }
 
-// DEDUPE by full SKU (keep highest available just in case)
-function dedupeBySku(variants) {
-  const m = new Map(); // sku -> {sku,suffix,available}
-  for (const v of variants) {
-    const key = String(v.sku || '').trim().toUpperCase();
-    const prev = m.get(key);
-    if (!prev || v.available > prev.available) {
-      m.set(key, { ...v, sku: key });
-    }
-  }
-  return [...m.values()];
+function compileCatalog(raw) {
+  const exclusions = (raw.exclusions ?? DEFAULT_CATALOG.exclusions).map((r, i) => {
+    if (!['title', 'tag', 'vendor', 'sku'].includes(r.field)) throw new Error(`exclusions[${i}]: unknown field "${r.field}"`);
+    if (!r.contains && !r.equals && !r.pattern) throw new Error(`exclusions[${i}]: needs contains, equals or pattern`);
+    const appliesTo = r.appliesTo || 'all';
+    if (!['all', 'in_stock', 'oos'].includes(appliesTo)) throw new Error(`exclusions[${i}]: unknown appliesTo "${appliesTo}"`);
+    return {
+      ...r,
+      appliesTo,
+      re: r.pattern ? new RegExp(r.pattern, 'i') : null,
+    };
+  });
+  return {
+    typeOrder: (raw.typeOrder || TYPE_PRIORITY).map(t => String(t).toUpperCase()),
+    displayNames: {
+      types: upperKeys(raw.displayNames?.types),
+      cars: upperKeys(raw.displayNames?.cars),
+    },
+    carAliases: Object.fromEntries(Object.entries(upperKeys(raw.carAliases)).map(([k, v]) => [k, String(v).toUpperCase()])),
+    exclusions,
+    source: raw,
+  };
 }
 
-// Build blocks for ONE Slack message: header + multiple section blocks.
-function buildBlocksOneMessage({ type, car, variants, headerLabel = 'In-Stock' }) {
-  const header = `*${headerLabel}* — *Type:* ${type} • *Car:* ${car}`;
-  const headerBlock = { type: 'section', text: { type: 'mrkdwn', text: header } };
-
-  // Turn lines into chunks that keep each section’s mrkdwn < 3000 chars.
-  const lines = variants.map(v => `• ${v.suffix || v.sku} — ${v.available}`);
-  const blocks = [headerBlock];
+const displayType = (code) => catalogConfig.displayNames.types[code] || code;
+const displayCar = (code) => catalogConfig.displayNames.cars[code] || code;
+const canonicalCar = (code) => catalogConfig.carAliases[code] || code;
 
-  const MAX_BLOCKS = 50; // Slack limit
-  const MAX_SECTIONS = MAX_BLOCKS - 1; // reserve 1 for header
-  const MAX_CHARS = 2900; // conservative per-section mrkdwn limit
+function matchesExclusion(rule, value) {
+  const v = String(value || '').toUpperCase();
+  if (rule.equals != null) return v === String(rule.equals).toUpperCase();
+  if (rule.contains != null) return v.includes(String(rule.contains).toUpperCase());
+  return rule.re.test(v);
+}
 
-  let current = [];
-  let currentLen = 0;
-  let sections = 0;
+// Which lists a variant node is excluded from: { inStock, oos }
+function exclusionFor(v, sku) {
+  const product = v?.product || {};
+  // GraphQL gives tags as an array, REST webhooks as "a, b, c"
+  const tags = Array.isArray(product.tags) ? product.tags : String(product.tags || '').split(',').map(t => t.trim()).filter(Boolean);
+  const hidden = { inStock: false, oos: false };
+  for (const rule of catalogConfig.exclusions) {
+    const hit =
+      rule.field === 'tag' ? tags.some(t => matchesExclusion(rule, t)) :
+      rule.field === 'title' ? matchesExclusion(rule, product.title) :
+      rule.field === 'vendor' ? matchesExclusion(rule, product.vendor) :
+      matchesExclusion(rule, sku);
+    if (!hit) continue;
+    if (rule.appliesTo !== 'oos') hidden.inStock = true;
+    if (rule.appliesTo !== 'in_stock') hidden.oos = true;
+  }
+  return hidden;
+}
 
-  const flush = () => {
-    const text = current.join('\n') || '_No matches_';
-    blocks.push({ type: 'section', text: { type: 'mrkdwn', text } });
-    current = [];
-    currentLen = 0;
-    sections += 1;
-  };
+// Returns true when the new config changes what gets indexed (aliases/exclusions)
+async function loadCatalogConfig() {
+  try {
+    const raw = await readJsonIfExists(CATALOG_FILE);
+    const next = compileCatalog(raw || DEFAULT_CATALOG);
+    const indexingChanged =
+      JSON.stringify([next.carAliases, next.source.exclusions ?? null]) !==
+      JSON.stringify([catalogConfig.carAliases, catalogConfig.source.exclusions ?? null]);
+    catalogConfig = next;
+    console.log(`📒 Catalog config ${raw ? `loaded from ${CATALOG_FILE}` : '(defaults)'}: ${next.typeOrder.length} ordered types, ${Object.keys(next.carAliases).length} aliases, ${next.exclusions.length} exclusions`);
+    return indexingChanged;
+  } catch (e) {
+    console.error('❗Invalid catalog config; keeping the previous one:', e?.message || e);
+    return false;
+  }
+}
 
-  for (const line of lines) {
-    if (currentLen + line.length + 1 > MAX_CHARS) {
-      flush();
-      if (sections >= MAX_SECTIONS) break; // safety cap
-    }
-    current.push(line);
-    currentLen += line.length + 1;
+async function reloadCatalogConfig() {
+  const indexingChanged = await loadCatalogConfig();
+  if (indexingChanged) {
+    refreshSkuIndex({ reason: 'catalog config', fresh: true }).catch(e => console.error('Refresh after catalog change failed:', e?.message || e));
   }
-  if (current.length && sections < MAX_SECTIONS) flush();
+  return indexingChanged;
+}
 
-  return blocks;
+// Poll the file (works on any filesystem, unlike fs.watch)
+function watchCatalogConfig() {
+  watchFile(CATALOG_FILE, { interval: 5000 }, (curr, prev) => {
+    if (curr.mtimeMs === prev.mtimeMs) return;
+    console.log('📒 catalog.json changed; reloading');
+    reloadCatalogConfig();
+  });
 }
 
 /* =========================
-   Slash: /stock  (Single-modal)
+   In-memory Index
 ========================= */
-app.command('/stock', async ({ ack, body, client }) => {
-  await ack();
+let skuIndex = {
+  types: new Set(),               // Set<string>
+  carsByType: new Map(),          // Map<type, Set<car>>
+  typesByCar: new Map(),          // Map<car, Set<type>> (reverse of carsByType, for car-first browsing)
+  inStockByTypeCar: new Map(),    // Map<`${type}::${car}`, Array<{sku, suffix, available, byLocation, …ids}>>
+  outOfStockByTypeCar: new Map(), // Map<`${type}::${car}`, Array<{sku, suffix, available: 0, byLocation, …ids}>>
+  locations: new Map(),           // Map<locationId, locationName>; byLocation = { [locationId]: available }
+};
 
-  const typeOptions = optionsFromTypesWithPriority(skuIndex.types);
-  if (!typeOptions.length) {
-    await client.chat.postEphemeral({
-      channel: body.channel_id,
-      user: body.user_id,
-      text: 'Index is building or empty. Try /stock-refresh. If it stays empty, check logs for errors.'
-    });
-    return;
-  }
+// Refresh bookkeeping (one per store): the index is only swapped after a complete build.
+const newRefreshState = () => ({
+  lastSuccessAt: null, // Date the current index was built
+  lastAttemptAt: null, // Date of the most recent refresh attempt
+  lastError: null,     // message of the last failed refresh (null once a refresh succeeds)
+  lastVariantCount: null, // variants scanned by the last good refresh (drives REFRESH_MODE=auto)
+  lastDurationMs: null,   // how long the most recent attempt took
+  lastPages: null,        // GraphQL pages fetched by the last good refresh (0 for bulk)
+  lastParseFailures: null, // non-empty SKUs no grammar rule matched
+  recentErrors: [],       // last few failures: [{ at, message }]
+  lastCost: null,         // Shopify usage of the last good refresh: { calls, retries, requestedCost, actualCost, throttledMs }
+  nextScheduledAt: null,  // next background refresh
+  lastChanges: null,      // what the last good refresh changed: { at, stockouts: [{ sku, from }], restocks: [{ sku, to }] }
+});
+const refreshState = newRefreshState(); // the primary store's
+const MAX_RECENT_ERRORS = 5;
 
-  await client.views.open({
-    trigger_id: body.trigger_id,
-    view: {
-      type: 'modal',
-      callback_id: 'stock_picker_submit',
-      title: { type: 'plain_text', text: 'Inventory Picker' },
-      submit: { type: 'plain_text', text: 'Show Results' },
-      close: { type: 'plain_text', text: 'Cancel' },
-      private_metadata: JSON.stringify({ channel: body.channel_id }),
-      blocks: [
-  // TYPE (static_select)
-  {
-  type: 'input',
-  block_id: 'type_block',
-  dispatch_action: true, // ✅ tell Slack to send a block_actions payload on change
-  label: { type: 'plain_text', text: 'Choose a Product Type' },
-  element: {
-    type: 'static_select',
-    action_id: 'ptype_select',
-    options: typeOptions,
-    placeholder: { type: 'plain_text', text: 'e.g., STEERINGWHEEL' }
+/* =========================
+   Stores (one index + refresh schedule per Shopify shop)
+   The first store is the primary one: skuIndex and refreshState are its index
+   and state, and search, /stock-car, history, alerts, watches, exports and
+   adjustments work on it. The picker can show any store, or all side by side.
+========================= */
+function parseStoreConfigs() {
+  const defaults = { refreshIntervalMin: REFRESH_INTERVAL_MIN, webhookSecret: SHOPIFY_WEBHOOK_SECRET, graphqlUrl: SHOPIFY_GRAPHQL_URL };
+  if (!SHOPIFY_STORES.trim()) {
+    return [{ ...defaults, id: 'default', label: 'Shopify', domain: process.env.SHOPIFY_DOMAIN, token: process.env.SHOPIFY_ADMIN_TOKEN }];
   }
-},
-
-  // CAR (static_select) — starts with a "pick type first" placeholder
-  {
-  type: 'input',
-  block_id: 'car_block',
-  label: { type: 'plain_text', text: 'Choose a Car' },
-  element: {
-    type: 'external_select',
-    action_id: 'car_select',
-    min_query_length: 0, // ← important: load options even without typing
-    placeholder: { type: 'plain_text', text: 'Pick a type first…' }
-  }
-  },
-
-  // SORT (radio)
-  {
-    type: 'input',
-    block_id: 'sort_block',
-    label: { type: 'plain_text', text: 'Display order' },
-    element: {
-      type: 'radio_buttons',
-      action_id: 'sort_choice',
-      options: [
-        { text: { type: 'plain_text', text: 'Alphabetical (A→Z)' }, value: 'alpha' },
-        { text: { type: 'plain_text', text: 'Quantity (High → Low)' }, value: 'qtydesc' }
-      ],
-      initial_option: { text: { type: 'plain_text', text: 'Quantity (High → Low)' }, value: 'qtydesc' }
-    }
-  },
+  const list = JSON.parse(SHOPIFY_STORES);
+  if (!Array.isArray(list) || !list.length) throw new Error('SHOPIFY_STORES must be a non-empty JSON array');
+  return list.map((c, i) => {
+    const id = String(c.id || '').trim().toLowerCase();
+    if (!/^[a-z0-9_-]+$/.test(id)) throw new Error(`SHOPIFY_STORES[${i}]: id must be letters, digits, - or _`);
+    if (!c.domain || !c.token) throw new Error(`SHOPIFY_STORES[${i}] (${id}): domain and token are required`);
+    return {
+      ...defaults,
+      ...c,
+      id,
+      label: c.label || id.toUpperCase(),
+      refreshIntervalMin: Math.max(5, Number(c.refreshIntervalMin) || REFRESH_INTERVAL_MIN),
+    };
+  });
+}
 
-  // Include OOS? (radio)
-  {
-    type: 'input',
-    block_id: 'oos_block',
-    label: { type: 'plain_text', text: 'Show only in-stock? Or also include out-of-stock?' },
-    element: {
-      type: 'radio_buttons',
-      action_id: 'oos_choice',
-      options: [
-        { text: { type: 'plain_text', text: 'Only show in-stock SKUs' }, value: 'in_only' },
-        { text: { type: 'plain_text', text: 'Show in-stock AND out-of-stock SKUs' }, value: 'with_oos' }
-      ],
-      initial_option: { text: { type: 'plain_text', text: 'Only show in-stock SKUs' }, value: 'in_only' }
-    }
-  }
-]
-    }
+const stores = new Map(); // id -> store
+for (const config of parseStoreConfigs()) {
+  const first = stores.size === 0;
+  stores.set(config.id, {
+    ...config,
+    index: first ? skuIndex : emptyIndex(),
+    state: first ? refreshState : newRefreshState(),
+    progress: null,          // live counters while a refresh runs: { startedAt, mode, phase, pages, variants, parseFailures }
+    inFlight: null,          // the running refresh's promise
+    followUp: null,          // a refresh queued behind the running one (settings changed mid-run)
+    pendingPatches: [],      // webhook/adjustment patches made during that refresh, replayed onto its result
+    throttle: null,          // last throttleStatus + when it was seen
+    requestedCost: new Map(), // query text -> requestedQueryCost
+    usage: { calls: 0, retries: 0, requestedCost: 0, actualCost: 0, throttledMs: 0 },
   });
-});
+}
+const primaryStore = stores.values().next().value;
+const multiStore = stores.size > 1;
+for (const store of stores.values()) {
+  // Single-store setups keep the original file name
+  store.indexFile = multiStore ? path.join(DATA_DIR, `sku-index-${store.id}.json`) : INDEX_FILE;
+}
 
+// Log prefix so interleaved refreshes stay readable
+const storeTag = (store) => (multiStore ? `[${store.label}] ` : '');
 
-app.options('car_select', async ({ ack, payload }) => {
-  try {
-    // Robustly read the currently selected TYPE from the live view state
-    const type =
-      payload?.view?.state?.values?.type_block?.ptype_select?.selected_option?.value;
+// Swap in a freshly built index (keeps skuIndex pointing at the primary store's)
+function setStoreIndex(store, idx) {
+  store.index = idx;
+  if (store === primaryStore) skuIndex = idx;
+}
 
-    let carOptions = [];
-    if (type) {
-      const carsSet = skuIndex.carsByType.get(type) || new Set();
-      const cars = [...carsSet].sort().slice(0, 100);
-      carOptions = cars.map(c => ({
-        text: { type: 'plain_text', text: c, emoji: true },
-        value: c,
-      }));
-    }
+function storeForDomain(domain) {
+  const d = String(domain || '').toLowerCase();
+  return [...stores.values()].find(s => String(s.domain || '').toLowerCase() === d) || null;
+}
 
-    // If no type yet, return empty (Slack shows the placeholder)
-    await ack({ options: carOptions });
-  } catch (err) {
-    console.error('car_select options error:', err);
-    await ack({ options: [] });
-  }
-});
+// Union of every store's types / cars for one type (the picker offers all of them)
+function allStoreTypes() {
+  return new Set([...stores.values()].flatMap(s => [...s.index.types]));
+}
+
+function allStoreCars(type) {
+  return new Set([...stores.values()].flatMap(s => [...(s.index.carsByType.get(type) || [])]));
+}
 
 /* =========================
-   Action: when Type changes, rebuild the Car options and update the modal
+   SKU grammar
+   An ordered list of rules; the first that matches wins. Either
+     { name, prefixes: ['C'], separator: '-', segments: ['prefix', 'car', 'type', 'color'] }
+   (positional; null/'' skips a position; segments after car/type are optional), or
+     { name, pattern: '^W_(?<type>[A-Z]+)_(?<car>[A-Z0-9]+)(?:_(?<suffix>.+))?$' }
+   (named groups). Every rule must yield `car` and `type`. The display suffix is
+   the `suffix` group/segment when named, otherwise every part that isn't the
+   prefix, car or type.
 ========================= */
-app.action('ptype_select', async ({ ack, body, client }) => {
-  await ack();
-
-  // 1) what Type did they select?
-  const selectedType = body.actions?.[0]?.selected_option?.value;
-
-  // 2) build fresh Type and Car options
-  const typeOptions = optionsFromTypesWithPriority(skuIndex.types);
-  const typeInitial = typeOptions.find(o => o.value === selectedType) || typeOptions[0];
+function defaultSkuGrammar() {
+  const segments = [];
+  segments[0] = 'prefix';
+  segments[SKU_CAR_INDEX] = 'car';
+  segments[SKU_TYPE_INDEX] = 'type';
+  return [{ name: 'default', prefixes: [PREFIX], separator: SEP, segments: Array.from(segments, x => x || null) }];
+}
 
-  const carsSet = skuIndex.carsByType.get(selectedType) || new Set();
-  const carOptions = optionsFromSet(carsSet);
+let skuGrammar = compileSkuGrammar(defaultSkuGrammar());
 
-  // 3) rebuild the same view with updated Car list
-  const newView = {
-    type: 'modal',
-    callback_id: 'stock_picker_submit',
+function compileSkuGrammar(rules) {
+  if (!Array.isArray(rules) || !rules.length) throw new Error('SKU grammar must be a non-empty array of rules');
+  return rules.map((r, i) => {
+    const name = r.name || `rule${i + 1}`;
+    if (r.pattern) {
+      const re = new RegExp(r.pattern, r.flags || '');
+      if (!/\(\?<car>/.test(r.pattern) || !/\(\?<type>/.test(r.pattern)) {
+        throw new Error(`SKU grammar rule "${name}": pattern needs (?<car>…) and (?<type>…) groups`);
+      }
+      return { name, re };
+    }
+    const segments = (r.segments || []).map(x => (x ? String(x) : null));
+    if (!segments.includes('car') || !segments.includes('type')) {
+      throw new Error(`SKU grammar rule "${name}": segments need "car" and "type"`);
+    }
+    const prefixes = (r.prefixes || (r.prefix ? [r.prefix] : [])).map(p => String(p).toUpperCase());
+    return { name, prefixes, separator: r.separator || SEP, segments };
+  });
+}
+
+// Boot (and /stock-parse reload): SKU_GRAMMAR env > sku-grammar.json > legacy SKU_* env vars
+async function loadSkuGrammar() {
+  try {
+    const rules = process.env.SKU_GRAMMAR ? JSON.parse(process.env.SKU_GRAMMAR) : await readJsonIfExists(SKU_GRAMMAR_FILE);
+    skuGrammar = compileSkuGrammar(rules || defaultSkuGrammar());
+    console.log(`🧩 SKU grammar: ${skuGrammar.map(r => r.name).join(', ')}`);
+  } catch (e) {
+    console.error('❗Invalid SKU grammar; keeping the previous one:', e?.message || e);
+  }
+}
+
+function applyGrammarRule(rule, upper) {
+  if (rule.re) {
+    const m = upper.match(rule.re);
+    if (!m?.groups) return null;
+    const segments = Object.fromEntries(Object.entries(m.groups).filter(([, v]) => v != null));
+    return { segments, suffix: segments.suffix || '', parts: [upper] };
+  }
+
+  const parts = upper.split(rule.separator);
+  if (rule.prefixes.length && !rule.prefixes.includes(parts[0])) return null;
+  // car and type must be present; later named segments are optional
+  if (parts.length <= Math.max(rule.segments.indexOf('car'), rule.segments.indexOf('type'))) return null;
+
+  const segments = {};
+  const structural = new Set(); // positions holding prefix/car/type
+  rule.segments.forEach((name, i) => {
+    if (!name || parts[i] == null) return;
+    segments[name] = parts[i];
+    if (name === 'prefix' || name === 'car' || name === 'type') structural.add(i);
+  });
+  const suffix = segments.suffix ?? parts.filter((_, i) => !structural.has(i)).join(rule.separator);
+  return { segments, suffix, parts };
+}
+
+// -> { car, type, suffix, parts, segments, rule } or null when no rule matches
+function parseSku(rawSku) {
+  if (!rawSku) return null;
+  const upper = String(rawSku).trim().toUpperCase();
+
+  for (const rule of skuGrammar) {
+    const hit = applyGrammarRule(rule, upper);
+    if (!hit) continue;
+    const car = (hit.segments.car || '').toUpperCase();
+    const type = (hit.segments.type || '').toUpperCase();
+    if (!car || !type) continue;
+    return { car, type, suffix: hit.suffix, parts: hit.parts, segments: hit.segments, rule: rule.name };
+  }
+  return null;
+}
+
+// Per-location quantities for one variant node; also records location names.
+// byLocation is 'available'; states/statesByLocation hold the other states and stay
+// null when the levels only carry 'available' (e.g. rebuilt from a webhook payload).
+function readLocationLevels(variant, locations) {
+  const byLocation = {};
+  const statesByLocation = {};
+  let hasStates = false;
+  const levels = variant?.inventoryItem?.inventoryLevels?.edges || [];
+  for (const { node } of levels) {
+    const locId = node?.location?.id;
+    if (!locId) continue;
+    locations.set(locId, node.location.name || locId);
+    const qty = (name) => Number((node.quantities || []).find(x => x.name === name)?.quantity ?? 0);
+    byLocation[locId] = qty('available');
+    statesByLocation[locId] = Object.fromEntries(EXTRA_STATES.map(n => [n, qty(n)]));
+    hasStates ||= (node.quantities || []).some(x => x.name !== 'available');
+  }
+  if (!hasStates) return { byLocation, states: null, statesByLocation: null };
+
+  const states = Object.fromEntries(EXTRA_STATES.map(n => [n, 0]));
+  for (const per of Object.values(statesByLocation)) {
+    for (const n of EXTRA_STATES) states[n] += per[n];
+  }
+  return { byLocation, states, statesByLocation };
+}
+
+function emptyIndex() {
+  return { types: new Set(), carsByType: new Map(), typesByCar: new Map(), inStockByTypeCar: new Map(), outOfStockByTypeCar: new Map(), locations: new Map() };
+}
+
+// File one variant node (VARIANTS_PAGE_GQL shape) under its type/car key
+function addVariantToIndex(idx, v) {
+  const raw = (v.sku || '').trim();
+  const parsed = parseSku(raw);
+  if (!parsed) return;
+
+  const { type, suffix, segments } = parsed;
+  const car = canonicalCar(parsed.car);
+  const hidden = exclusionFor(v, raw); // { inStock, oos }
+  if (hidden.inStock && hidden.oos) return;
+  const available = Number(v.inventoryQuantity ?? 0);
+  const { byLocation, states, statesByLocation } = readLocationLevels(v, idx.locations);
+
+  // Ids let webhooks find the entry again; the *Hidden flags carry catalog exclusions
+  const entry = {
+    sku: raw,
+    suffix,       // for display
+    title: v?.product?.title || '', // for search
+    segments,     // every named grammar segment (car, type, color, …)
+    available,    // shown total; OOS entries are filed at 0
+    signedAvailable: available, // Shopify's real total, negative when oversold (webhook deltas apply to this)
+    byLocation,
+    states,           // { committed, incoming, on_hand, reserved } totals, or null if unknown
+    statesByLocation,
+    variantId: v.id,
+    productId: v.product?.id,
+    inventoryItemId: v.inventoryItem?.id,
+    inStockHidden: hidden.inStock,
+    oosHidden: hidden.oos,
+  };
+  // Only offer the type/car in pickers when the variant actually shows up in a list
+  if (!placeIndexEntry(idx, `${type}::${car}`, entry)) return;
+
+  idx.types.add(type);
+  if (!idx.carsByType.has(type)) idx.carsByType.set(type, new Set());
+  idx.carsByType.get(type).add(car);
+  if (!idx.typesByCar.has(car)) idx.typesByCar.set(car, new Set());
+  idx.typesByCar.get(car).add(type);
+}
+
+// In-stock list when available > 0, otherwise the OOS list (unless excluded from that list).
+// Returns false when the entry is hidden from the list it belongs in.
+function placeIndexEntry(idx, key, entry) {
+  if (entry.available > 0) {
+    if (entry.inStockHidden) return false;
+    if (!idx.inStockByTypeCar.has(key)) idx.inStockByTypeCar.set(key, []);
+    idx.inStockByTypeCar.get(key).push(entry);
+  } else {
+    if (entry.oosHidden) return false;
+    if (!idx.outOfStockByTypeCar.has(key)) idx.outOfStockByTypeCar.set(key, []);
+    idx.outOfStockByTypeCar.get(key).push({ ...entry, available: 0 });
+  }
+  return true;
+}
+
+// Build a complete index from one fetch strategy (throws if the fetch does)
+async function buildIndex(store, fetchVariants) {
+  const idx = emptyIndex();
+  const sample = { total: 0, listed: 0, items: [], parseFailures: 0 };
+  const progress = store.progress;
+  if (progress) Object.assign(progress, { pages: 0, variants: 0, parseFailures: 0 });
+
+  await fetchVariants(store, (v) => {
+    const raw = (v.sku || '').trim();
+    sample.total++;
+    if (sample.listed < 20) { sample.items.push(raw || '(empty)'); sample.listed++; }
+    if (raw && !parseSku(raw)) sample.parseFailures++;
+    if (progress) Object.assign(progress, { variants: sample.total, parseFailures: sample.parseFailures });
+    addVariantToIndex(idx, v);
+  });
+
+  return { idx, sample };
+}
+
+/* =========================
+   Refresh coordination (single-flight, per store)
+   The timers, /stock-refresh, /refresh and catalog reloads all go through
+   refreshSkuIndex(); while a store refreshes, later callers join it and get its result.
+   Without a store it refreshes every store.
+========================= */
+// fresh: the caller changed what gets indexed, so joining a refresh that started with the old
+// settings isn't enough; one more refresh is queued behind it (shared by every such caller)
+function refreshSkuIndex({ reason = 'manual', store = null, fresh = false } = {}) {
+  if (!store) return Promise.all([...stores.values()].map(s => refreshSkuIndex({ reason, store: s, fresh })));
+  if (store.inFlight && fresh) {
+    if (!store.followUp) {
+      console.log(`🔁 ${storeTag(store)}Refresh already running; ${reason} queues another after it.`);
+      store.followUp = store.inFlight.catch(() => {}).then(() => {
+        store.followUp = null;
+        return refreshSkuIndex({ reason, store });
+      });
+    }
+    return store.followUp;
+  }
+  if (store.inFlight) {
+    console.log(`🔁 ${storeTag(store)}Refresh already running; ${reason} joins it.`);
+    return store.inFlight;
+  }
+  store.inFlight = runRefresh(store, reason).finally(() => {
+    store.inFlight = null;
+    // The App Home dashboard shows the primary store
+    if (store === primaryStore) publishHomeTabs().catch(e => console.error('❗App Home re-publish failed:', e?.message || e));
+  });
+  return store.inFlight;
+}
+
+// Incremental updates (webhooks, Slack adjustments) go through here: patch(idx) runs on the live
+// index now and, while a full refresh is running, again on its result before the swap
+async function patchStoreIndex(store, patch) {
+  if (store.inFlight) store.pendingPatches.push(patch);
+  return patch(store.index);
+}
+
+function usageSince(store, before) {
+  return Object.fromEntries(Object.keys(store.usage).map(k => [k, store.usage[k] - before[k]]));
+}
+
+function describeCost(c) {
+  if (!c) return '—';
+  const extras = [c.retries && `${c.retries} retries`, c.throttledMs && `${(c.throttledMs / 1000).toFixed(1)}s throttled`].filter(Boolean);
+  return `${c.actualCost} points over ${c.calls} calls${extras.length ? ` (${extras.join(', ')})` : ''}`;
+}
+
+function recordRefreshError(state, message) {
+  state.recentErrors = [{ at: new Date().toISOString(), message }, ...(state.recentErrors || [])].slice(0, MAX_RECENT_ERRORS);
+}
+
+async function pickRefreshMode(store) {
+  if (REFRESH_MODE === 'bulk' || REFRESH_MODE === 'paged') return REFRESH_MODE;
+  let count = store.state.lastVariantCount;
+  if (count == null) {
+    try {
+      const res = await shopifyGQL(VARIANTS_COUNT_GQL, {}, store);
+      count = Number(res?.data?.productVariantsCount?.count ?? 0);
+    } catch (e) {
+      console.error(`❗${storeTag(store)}Variant count failed; using paged refresh:`, e?.message || e);
+      return 'paged';
+    }
+  }
+  return count >= BULK_MIN_VARIANTS ? 'bulk' : 'paged';
+}
+
+async function runRefresh(store, reason) {
+  const state = store.state;
+  const tag = storeTag(store);
+  state.lastAttemptAt = new Date();
+  const startedMs = Date.now();
+  const progress = { startedAt: state.lastAttemptAt, reason, mode: null, phase: 'starting', pages: 0, variants: 0, parseFailures: 0 };
+  store.progress = progress;
+  const usageBefore = { ...store.usage };
+  store.pendingPatches = [];
+
+  let built;
+  try {
+    const mode = await pickRefreshMode(store);
+    progress.mode = mode;
+    progress.phase = mode === 'bulk' ? 'starting bulk operation' : 'fetching pages';
+    console.log(`🔄 ${tag}Refreshing SKU index (${mode}, ${reason})…`);
+    if (mode === 'bulk') {
+      try {
+        built = await buildIndex(store, fetchVariantsBulk);
+      } catch (err) {
+        console.error(`❗${tag}Bulk refresh failed; falling back to paged:`, err?.message || err);
+        recordRefreshError(state, `bulk: ${err?.message || err}`);
+        Object.assign(progress, { mode: 'paged', phase: 'fetching pages (bulk fallback)' });
+        built = await buildIndex(store, fetchVariantsPaged);
+      }
+    } else {
+      built = await buildIndex(store, fetchVariantsPaged);
+    }
+  } catch (err) {
+    console.error(`❗${tag}Index build failed while fetching variants (inventoryQuantity):`, err);
+    await countAllVariantsNoInventory(store);
+    // Keep serving the previous (complete) index instead of a half-built one.
+    state.lastError = err?.message || String(err);
+    state.lastDurationMs = Date.now() - startedMs;
+    recordRefreshError(state, state.lastError);
+    store.progress = null;
+    store.pendingPatches = []; // already applied to the index we keep
+    console.error(`❗${tag}Keeping previous index (built ${state.lastSuccessAt?.toISOString() || 'never'}).`);
+    throw err;
+  }
+
+  const { idx, sample } = built;
+  console.log(`🔎 ${tag}Sample SKUs:`, sample.items.join(' | '));
+  console.log(`🔢 ${tag}Total variants scanned: ${sample.total} (${sample.parseFailures} unparsed SKUs)`);
+
+  // The new index was fetched before any webhooks/adjustments that landed meanwhile; replay
+  // them so the swap (and the diff below) doesn't undo them. Level updates are absolute,
+  // so replaying one the fetch already saw changes nothing.
+  progress.phase = 'replaying live updates';
+  const replayed = store.pendingPatches.length;
+  while (store.pendingPatches.length) {
+    const patch = store.pendingPatches.shift();
+    try {
+      await patch(idx);
+    } catch (e) {
+      console.error(`❗${tag}Could not replay a live update onto the new index:`, e?.message || e);
+    }
+  }
+  if (replayed) console.log(`🪝 ${tag}Replayed ${replayed} live update${replayed === 1 ? '' : 's'} onto the new index`);
+
+  const previous = store.index;
+  setStoreIndex(store, idx);
+  state.lastSuccessAt = new Date();
+  state.lastError = null;
+  state.lastVariantCount = sample.total;
+  state.lastDurationMs = Date.now() - startedMs;
+  state.lastPages = progress.pages;
+  state.lastParseFailures = sample.parseFailures;
+  state.lastCost = usageSince(store, usageBefore);
+  store.progress = null;
+  const totalCars = [...idx.carsByType.values()].reduce((a, s) => a + s.size, 0);
+  console.log(`🔄 ${tag}SKU index refreshed: ${idx.types.size} types, ${totalCars} cars total, ${idx.locations.size} locations`);
+  console.log(`💸 ${tag}Refresh cost: ${describeCost(state.lastCost)}`);
+
+  // History, alerts, watches and the App Home follow the primary store only.
+  // Nothing to compare against on a cold start without a saved index.
+  const changes = store === primaryStore && previous.types.size
+    ? diffAvailability(availableBySku(previous), availableBySku(idx))
+    : null;
+  if (changes) state.lastChanges = summarizeStockChanges(changes);
+
+  await saveIndexToDisk(store);
+  if (changes) await handleInventoryChanges(changes);
+}
+
+// Crossings only: in stock -> 0/gone is a stockout, 0/new -> in stock is a restock
+function summarizeStockChanges(changes) {
+  return {
+    at: new Date().toISOString(),
+    stockouts: changes.filter(c => (c.from ?? 0) > 0 && (c.to ?? 0) <= 0).map(({ sku, from }) => ({ sku, from })),
+    restocks: changes.filter(c => (c.from ?? 0) <= 0 && (c.to ?? 0) > 0).map(({ sku, to }) => ({ sku, to })),
+  };
+}
+
+/* =========================
+   Disk persistence (warm starts)
+========================= */
+// Write via temp file + rename so a crash never leaves half a file behind
+async function writeJsonAtomic(file, data) {
+  await fs.mkdir(path.dirname(file), { recursive: true });
+  const tmp = `${file}.${process.pid}.tmp`;
+  await fs.writeFile(tmp, JSON.stringify(data));
+  await fs.rename(tmp, file);
+}
+
+// null when the file doesn't exist yet
+async function readJsonIfExists(file) {
+  try {
+    return JSON.parse(await fs.readFile(file, 'utf8'));
+  } catch (e) {
+    if (e.code === 'ENOENT') return null;
+    throw e;
+  }
+}
+
+const INDEX_FILE_VERSION = 1;
+
+function serializeIndex(idx) {
+  return {
+    types: [...idx.types],
+    carsByType: [...idx.carsByType].map(([type, cars]) => [type, [...cars]]),
+    typesByCar: [...idx.typesByCar].map(([car, types]) => [car, [...types]]),
+    inStockByTypeCar: [...idx.inStockByTypeCar],
+    outOfStockByTypeCar: [...idx.outOfStockByTypeCar],
+    locations: [...idx.locations],
+  };
+}
+
+function deserializeIndex(data) {
+  const carsByType = new Map((data.carsByType || []).map(([type, cars]) => [type, new Set(cars)]));
+  // Files saved before typesByCar existed: derive it from carsByType
+  const typesByCar = new Map((data.typesByCar || []).map(([car, types]) => [car, new Set(types)]));
+  if (!data.typesByCar) {
+    for (const [type, cars] of carsByType) {
+      for (const car of cars) {
+        if (!typesByCar.has(car)) typesByCar.set(car, new Set());
+        typesByCar.get(car).add(type);
+      }
+    }
+  }
+  return {
+    types: new Set(data.types || []),
+    carsByType,
+    typesByCar,
+    inStockByTypeCar: new Map(data.inStockByTypeCar || []),
+    outOfStockByTypeCar: new Map(data.outOfStockByTypeCar || []),
+    locations: new Map(data.locations || []),
+  };
+}
+
+async function saveIndexToDisk(store = primaryStore) {
+  try {
+    await writeJsonAtomic(store.indexFile, {
+      version: INDEX_FILE_VERSION,
+      savedAt: new Date().toISOString(),
+      refresh: store.state,
+      index: serializeIndex(store.index),
+    });
+  } catch (e) {
+    console.error('❗Could not save index to disk:', e?.message || e);
+  }
+}
+
+// Boot: serve the last saved index until the first refresh replaces it
+async function loadIndexFromDisk(store = primaryStore) {
+  try {
+    const data = await readJsonIfExists(store.indexFile);
+    if (!data) return false;
+    if (data.version !== INDEX_FILE_VERSION) {
+      console.warn(`⚠️ Ignoring ${store.indexFile}: version ${data.version}, expected ${INDEX_FILE_VERSION}`);
+      return false;
+    }
+    setStoreIndex(store, deserializeIndex(data.index || {}));
+    const meta = data.refresh || {};
+    // Mutate in place: the primary store's state object is also refreshState
+    Object.assign(store.state, meta, {
+      lastSuccessAt: meta.lastSuccessAt ? new Date(meta.lastSuccessAt) : null,
+      lastAttemptAt: meta.lastAttemptAt ? new Date(meta.lastAttemptAt) : null,
+    });
+    console.log(`💾 ${storeTag(store)}Loaded index from disk (built ${store.state.lastSuccessAt?.toISOString() || 'unknown'}): ${store.index.types.size} types`);
+    return true;
+  } catch (e) {
+    console.error('❗Could not load index from disk:', e?.message || e);
+    return false;
+  }
+}
+
+/* =========================
+   Inventory change tracking + history store
+   One JSONL line per quantity change: { t, sku, from, to }
+   (from/to are null when the SKU wasn't in the index on that side).
+========================= */
+// Map<SKU, {type, car, entry}> across in-stock and OOS lists
+function entriesBySku(idx) {
+  const m = new Map();
+  for (const map of [idx.inStockByTypeCar, idx.outOfStockByTypeCar]) {
+    for (const [key, arr] of map) {
+      const [type, car] = key.split('::');
+      for (const entry of arr) m.set(String(entry.sku).trim().toUpperCase(), { type, car, entry });
+    }
+  }
+  return m;
+}
+
+// Map<SKU, available> across in-stock and OOS lists
+function availableBySku(idx) {
+  const m = new Map();
+  for (const map of [idx.inStockByTypeCar, idx.outOfStockByTypeCar]) {
+    for (const arr of map.values()) {
+      for (const v of arr) m.set(String(v.sku).trim().toUpperCase(), v.available);
+    }
+  }
+  return m;
+}
+
+function diffAvailability(before, after) {
+  const changes = [];
+  for (const [sku, to] of after) {
+    const from = before.has(sku) ? before.get(sku) : null;
+    if (from !== to) changes.push({ sku, from, to });
+  }
+  for (const [sku, from] of before) {
+    if (!after.has(sku)) changes.push({ sku, from, to: null });
+  }
+  return changes;
+}
+
+let historyBySku = new Map(); // Map<SKU, Array<{t, from, to}>> oldest first
+let historyWrites = Promise.resolve(); // appends and compactions run one at a time
+const HISTORY_COMPACT_EVERY_MS = 6 * 60 * 60 * 1000;
+
+const historyCutoff = () => Date.now() - HISTORY_RETENTION_DAYS * 24 * 60 * 60 * 1000;
+
+// Drop events past retention from one SKU's list (oldest first, so only the head)
+function pruneSkuHistory(sku, cutoff = historyCutoff()) {
+  const events = historyBySku.get(sku) || [];
+  let n = 0;
+  while (n < events.length && Date.parse(events[n].t) < cutoff) n++;
+  if (n === events.length) historyBySku.delete(sku);
+  else if (n) historyBySku.set(sku, events.slice(n));
+  return n;
+}
+
+// Every path that changes quantities (full refresh, webhooks) reports here.
+async function handleInventoryChanges(changes) {
+  if (!changes.length) return;
+  await recordHistory(changes);
+  await postLowStockAlerts(changes);
+  await notifyRestockWatchers(changes);
+}
+
+async function recordHistory(changes) {
+  const t = new Date().toISOString();
+  const cutoff = historyCutoff();
+  const lines = changes.map(c => {
+    const ev = { t, from: c.from, to: c.to };
+    if (!historyBySku.has(c.sku)) historyBySku.set(c.sku, []);
+    historyBySku.get(c.sku).push(ev);
+    pruneSkuHistory(c.sku, cutoff);
+    return JSON.stringify({ sku: c.sku, ...ev });
+  });
+  historyWrites = historyWrites.then(async () => {
+    try {
+      await fs.mkdir(DATA_DIR, { recursive: true });
+      await fs.appendFile(HISTORY_FILE, lines.join('\n') + '\n');
+    } catch (e) {
+      console.error('❗Could not append stock history:', e?.message || e);
+    }
+  });
+  await historyWrites;
+}
+
+// Rewrite the file from memory (which only holds events within retention)
+async function writeHistoryFile() {
+  const events = [...historyBySku].flatMap(([sku, list]) => list.map(ev => ({ sku, ...ev })));
+  events.sort((a, b) => String(a.t).localeCompare(String(b.t)));
+  const tmp = `${HISTORY_FILE}.${process.pid}.tmp`;
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(tmp, events.map(ev => JSON.stringify(ev)).join('\n') + (events.length ? '\n' : ''));
+  await fs.rename(tmp, HISTORY_FILE);
+}
+
+// Periodic: prune every SKU and compact the file when anything aged out
+async function compactHistory() {
+  const cutoff = historyCutoff();
+  let dropped = 0;
+  for (const sku of [...historyBySku.keys()]) dropped += pruneSkuHistory(sku, cutoff);
+  if (!dropped) return;
+  historyWrites = historyWrites.then(async () => {
+    try {
+      await writeHistoryFile();
+      console.log(`📈 Compacted stock history (${dropped} events past ${HISTORY_RETENTION_DAYS} days pruned)`);
+    } catch (e) {
+      console.error('❗Could not compact stock history:', e?.message || e);
+    }
+  });
+  await historyWrites;
+}
+
+function startHistoryCompaction() {
+  setInterval(() => {
+    compactHistory().catch(e => console.error('❗Stock history compaction failed:', e?.message || e));
+  }, HISTORY_COMPACT_EVERY_MS);
+}
+
+// Boot: load the history, dropping events past retention (and compacting the file if any were)
+async function loadHistoryFromDisk() {
+  const cutoff = historyCutoff();
+  let text;
+  try {
+    text = await fs.readFile(HISTORY_FILE, 'utf8');
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error('❗Could not load stock history:', e?.message || e);
+    return;
+  }
+
+  const kept = [];
+  let dropped = 0;
+  for (const line of text.split('\n')) {
+    if (!line.trim()) continue;
+    let ev;
+    try { ev = JSON.parse(line); } catch { dropped++; continue; }
+    if (Date.parse(ev.t) < cutoff) { dropped++; continue; }
+    kept.push(ev);
+  }
+
+  historyBySku = new Map();
+  for (const { sku, t, from, to } of kept) {
+    if (!historyBySku.has(sku)) historyBySku.set(sku, []);
+    historyBySku.get(sku).push({ t, from, to });
+  }
+
+  if (dropped) {
+    try {
+      await writeHistoryFile();
+    } catch (e) {
+      console.error('❗Could not compact stock history:', e?.message || e);
+    }
+  }
+  console.log(`📈 Loaded stock history: ${kept.length} events for ${historyBySku.size} SKUs (${dropped} pruned)`);
+}
+
+/* =========================
+   Low-stock alerts
+   Rules: { id, scope: 'sku' | 'typecar' | 'type', type, car, sku, threshold }.
+   The most specific rule wins; an alert fires only when a SKU crosses from
+   above its threshold to at/below it, so steady low stock isn't re-posted.
+========================= */
+let alertConfig = { channel: LOW_STOCK_CHANNEL, rules: [] };
+
+async function loadAlertConfig() {
+  try {
+    const data = await readJsonIfExists(ALERTS_FILE);
+    if (data) alertConfig = { channel: data.channel || LOW_STOCK_CHANNEL, rules: data.rules || [] };
+  } catch (e) {
+    console.error('❗Could not load alert config:', e?.message || e);
+  }
+}
+
+async function saveAlertConfig() {
+  await writeJsonAtomic(ALERTS_FILE, alertConfig);
+}
+
+function thresholdFor(sku, type, car) {
+  const rules = alertConfig.rules;
+  const rule =
+    rules.find(r => r.scope === 'sku' && r.sku === sku) ||
+    rules.find(r => r.scope === 'typecar' && r.type === type && r.car === car) ||
+    rules.find(r => r.scope === 'type' && r.type === type);
+  return rule ? rule.threshold : null;
+}
+
+function describeAlertRule(r) {
+  if (r.scope === 'sku') return `SKU *${r.sku}* ≤ ${r.threshold}`;
+  if (r.scope === 'typecar') return `*${r.type}* / *${r.car}* ≤ ${r.threshold}`;
+  return `*${r.type}* ≤ ${r.threshold}`;
+}
+
+async function postLowStockAlerts(changes) {
+  if (!alertConfig.channel || !alertConfig.rules.length) return;
+
+  const located = entriesBySku(skuIndex);
+  const hits = [];
+  for (const { sku, from, to } of changes) {
+    if (from == null || to == null) continue; // appeared/vanished, not a drop
+    const where = located.get(sku);
+    if (!where) continue;
+    const threshold = thresholdFor(sku, where.type, where.car);
+    if (threshold == null) continue;
+    if (from > threshold && to <= threshold) hits.push({ sku, from, to, threshold, ...where });
+  }
+  if (!hits.length) return;
+
+  const lines = hits.map(h => `• *${h.sku}* (${h.type} / ${h.car}) — ${h.to} (was ${h.from}, threshold ${h.threshold})`);
+  const text = `⚠️ *Low stock* — ${hits.length} SKU${hits.length === 1 ? '' : 's'} dropped to or below threshold\n${lines.join('\n')}`;
+  try {
+    await app.client.chat.postMessage({ channel: alertConfig.channel, text: text.slice(0, 3900) });
+  } catch (e) {
+    console.error('❗Could not post low-stock alert:', e?.data?.error || e?.message || e);
+  }
+}
+
+/* =========================
+   Back-in-stock subscriptions
+   { [SKU]: [userId, …] } — cleared once the subscribers have been DM'd.
+========================= */
+let watches = new Map(); // Map<SKU, Set<userId>>
+
+async function loadWatches() {
+  try {
+    const data = await readJsonIfExists(WATCHES_FILE);
+    if (data) watches = new Map(Object.entries(data).map(([sku, users]) => [sku, new Set(users)]));
+  } catch (e) {
+    console.error('❗Could not load stock watches:', e?.message || e);
+  }
+}
+
+async function saveWatches() {
+  try {
+    await writeJsonAtomic(WATCHES_FILE, Object.fromEntries([...watches].map(([sku, users]) => [sku, [...users]])));
+  } catch (e) {
+    console.error('❗Could not save stock watches:', e?.message || e);
+  }
+}
+
+async function addWatch(sku, user) {
+  if (!watches.has(sku)) watches.set(sku, new Set());
+  watches.get(sku).add(user);
+  await saveWatches();
+}
+
+async function removeWatch(sku, user) {
+  const users = watches.get(sku);
+  if (!users?.delete(user)) return false;
+  if (!users.size) watches.delete(sku);
+  await saveWatches();
+  return true;
+}
+
+// OOS (or unlisted) -> in stock: DM every subscriber, then drop the subscription
+async function notifyRestockWatchers(changes) {
+  const restocked = changes.filter(c => watches.has(c.sku) && (c.from ?? 0) <= 0 && (c.to ?? 0) > 0);
+  if (!restocked.length) return;
+
+  for (const { sku, to } of restocked) {
+    for (const user of watches.get(sku)) {
+      try {
+        await app.client.chat.postMessage({ channel: user, text: `✅ *${sku}* is back in stock (${to} available).` });
+      } catch (e) {
+        console.error(`❗Could not DM ${user} about ${sku}:`, e?.data?.error || e?.message || e);
+      }
+    }
+    watches.delete(sku);
+  }
+  await saveWatches();
+}
+
+/* =========================
+   Slack helpers (custom type order + slim text)
+========================= */
+
+// Custom order first, then all others A→Z
+function orderTypes(set) {
+  const types = [...set].map(t => t.toUpperCase());
+  const order = catalogConfig.typeOrder;
+  const first = order.filter(t => types.includes(t));
+  const rest = types.filter(t => !order.includes(t)).sort();
+  return [...first, ...rest];
+}
+
+// Build TYPE options in custom order, then all others A→Z
+function optionsFromTypesWithPriority(set) {
+  return orderTypes(set).map(val => ({
+    text: { type: 'plain_text', text: displayType(val), emoji: true },
+    value: val,
+  }));
+}
+
+// Car typeahead for external_selects: prefix matches first, then substring matches (on the
+// code or its display name), grouped into "In stock" and "Only out of stock" with the
+// in-stock SKU count on each option. Slack shows at most 100 options.
+const MAX_EXTERNAL_OPTIONS = 100;
+
+function carOptionGroups(cars, query, inStockCount) {
+  const q = String(query || '').trim().toUpperCase();
+  const names = (c) => [c, displayCar(c).toUpperCase()];
+  const sorted = [...cars].sort();
+  const prefix = sorted.filter(c => names(c).some(n => n.startsWith(q)));
+  const inner = q ? sorted.filter(c => !prefix.includes(c) && names(c).some(n => n.includes(q))) : [];
+  const matches = [...prefix, ...inner].slice(0, MAX_EXTERNAL_OPTIONS);
+
+  const option = (c, n) => ({
+    text: { type: 'plain_text', text: `${displayCar(c)} (${n} in stock)`.slice(0, 75), emoji: true },
+    value: c,
+  });
+  const withStock = [];
+  const oosOnly = [];
+  for (const c of matches) {
+    const n = inStockCount(c);
+    (n > 0 ? withStock : oosOnly).push(option(c, n));
+  }
+
+  const groups = [];
+  if (withStock.length) groups.push({ label: { type: 'plain_text', text: 'In stock' }, options: withStock });
+  if (oosOnly.length) groups.push({ label: { type: 'plain_text', text: 'Only out of stock' }, options: oosOnly });
+  return groups;
+}
+
+// In-stock SKUs for a type::car key, counted once across the given indexes
+const inStockCountFor = (key, indexes = [skuIndex]) =>
+  dedupeBySku(indexes.flatMap(idx => idx.inStockByTypeCar.get(key) || [])).length;
+
+// Location choices: total, per-location breakdown, then each location A→Z
+function locationOptions() {
+  // Location ids are unique across shops, so one list can hold every store's
+  const named = [...stores.values()]
+    .flatMap(store => [...store.index.locations.entries()].map(([id, name]) => [id, multiStore ? `${store.label} · ${name}` : name]))
+    .sort((a, b) => a[1].localeCompare(b[1]))
+    .slice(0, 98) // Slack caps static_select at 100 options
+    .map(([id, name]) => ({ text: { type: 'plain_text', text: name.slice(0, 75), emoji: true }, value: id }));
+  return [
+    { text: { type: 'plain_text', text: 'All locations (total)' }, value: 'all' },
+    { text: { type: 'plain_text', text: 'Per-location breakdown' }, value: 'columns' },
+    ...named,
+  ];
+}
+
+// Re-point `available` at a single location (variants without a level there count as 0)
+function atLocation(variants, locationId) {
+  return variants.map(v => ({
+    ...v,
+    available: Number(v.byLocation?.[locationId] ?? 0),
+    states: v.states ? (v.statesByLocation?.[locationId] || Object.fromEntries(EXTRA_STATES.map(n => [n, 0]))) : null,
+  }));
+}
+
+// Every inventory state for one line:
+// "3 available · 1 committed · 4 incoming · 4 on hand · 0 reserved"
+function formatStates(v) {
+  if (!v.states) return `${v.available} available · _other states after the next refresh_`;
+  return [`${v.available} available`, ...EXTRA_STATES.map(n => `${v.states[n]} ${n.replace('_', ' ')}`)].join(' · ');
+}
+
+// "Warehouse 3 · Showroom 0" in location-name order
+function formatLocationBreakdown(v, locations = skuIndex.locations) {
+  const parts = [...locations.entries()]
+    .sort((a, b) => a[1].localeCompare(b[1]))
+    .map(([id, name]) => `${name} ${Number(v.byLocation?.[id] ?? 0)}`);
+  return parts.join(' · ');
+}
+
+// Sorting helpers
+function sortByQtyDesc(arr) {
+  return [...arr].sort((a, b) => b.available - a.available);
+}
+function sortBySuffixAsc(arr) {
+  return [...arr].sort((a, b) => (a.suffix || '').localeCompare(b.suffix || ''));
+}
+
+// DEDUPE by full SKU (keep highest available just in case)
+function dedupeBySku(variants) {
+  const m = new Map(); // sku -> {sku,suffix,available}
+  for (const v of variants) {
+    const key = String(v.sku || '').trim().toUpperCase();
+    const prev = m.get(key);
+    if (!prev || v.available > prev.available) {
+      m.set(key, { ...v, sku: key });
+    }
+  }
+  return [...m.values()];
+}
+
+// Context block warning that results come from an older index, or null when fresh.
+// <!date^…^{time}|…> renders HH:MM in each viewer's own timezone.
+function stalenessBlock(store = primaryStore) {
+  const state = store.state;
+  if (!state.lastError) return null;
+  const asOf = state.lastSuccessAt;
+  const text = asOf
+    ? `⚠️ ${storeTag(store)}Data as of <!date^${Math.floor(asOf.getTime() / 1000)}^{time}|${asOf.toISOString().slice(11, 16)} UTC> (last refresh failed)`
+    : `⚠️ ${storeTag(store)}Index has not been fully built yet (last refresh failed)`;
+  return { type: 'context', elements: [{ type: 'mrkdwn', text }] };
+}
+
+function withStalenessBanner(blocks, store = primaryStore) {
+  const banner = stalenessBlock(store);
+  return banner ? [...blocks, banner] : blocks;
+}
+
+// Plain-text reply as blocks, so the staleness banner can ride along
+function textBlocks(text) {
+  return withStalenessBanner([{ type: 'section', text: { type: 'mrkdwn', text } }]);
+}
+
+// Per-line "Notify me" buttons up to this many OOS lines; beyond that one select holds them all
+const MAX_WATCH_BUTTONS = 20;
+
+// Context block for lines that didn't fit under Slack's 50-block cap
+function truncationNotice(missing) {
+  return {
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `⚠️ ${missing} more line${missing === 1 ? '' : 's'} didn't fit in this message. Export to CSV/Excel (the picker's Output format, or /stock-export) for the full list.` }],
+  };
+}
+
+// Build blocks for ONE Slack message: header + multiple section blocks.
+// showLocations adds the per-location breakdown after each total; locationLabel goes in the header.
+// showStates lists committed/incoming/on hand/reserved next to available.
+// storeColumns (stores) shows each store's available side by side from v.byStore instead.
+// watchSkus (Set of OOS SKUs) adds "Notify me when back in stock" controls for those lines.
+function buildBlocksOneMessage({ type, car, variants, headerLabel = 'In-Stock', locationLabel, storeLabel, locations = skuIndex.locations, showLocations = false, showStates = false, storeColumns = null, watchSkus = null }) {
+  let header = `*${headerLabel}* — *Type:* ${displayType(type)} • *Car:* ${displayCar(car)}`;
+  if (storeLabel) header += ` • *Store:* ${storeLabel}`;
+  if (locationLabel) header += ` • *Location:* ${locationLabel}`;
+  const headerBlock = { type: 'section', text: { type: 'mrkdwn', text: header } };
+
+  const lineFor = (v) => {
+    if (storeColumns) return `• ${v.suffix || v.sku} — ${storeColumns.map(st => `${st.label} ${v.byStore?.[st.id] ?? 'n/a'}`).join(' · ')}`;
+    const line = `• ${v.suffix || v.sku} — ${showStates ? formatStates(v) : v.available}`;
+    return showLocations && locations.size ? `${line}  _(${formatLocationBreakdown(v, locations)})_` : line;
+  };
+  const blocks = [headerBlock];
+
+  const watchable = watchSkus ? variants.filter(v => watchSkus.has(v.sku)) : [];
+  const perLineButtons = watchable.length > 0 && watchable.length <= MAX_WATCH_BUTTONS;
+  const watchSelect = watchable.length > MAX_WATCH_BUTTONS;
+
+  const MAX_BLOCKS = 50; // Slack limit
+  // reserve header, staleness banner, page footer, page buttons/adjust select and the truncation
+  // warning (+1 for the watch select)
+  const MAX_SECTIONS = MAX_BLOCKS - 5 - (watchSelect ? 1 : 0);
+  const MAX_CHARS = 2900; // conservative per-section mrkdwn limit
+
+  let current = [];
+  let currentLen = 0;
+  let sections = 0;
+
+  const flush = () => {
+    const text = current.join('\n') || '_No matches_';
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text } });
+    current = [];
+    currentLen = 0;
+    sections += 1;
+  };
+
+  // Turn lines into chunks that keep each section’s mrkdwn < 3000 chars.
+  let shown = 0;
+  for (const v of variants) {
+    const line = lineFor(v);
+
+    // Watchable OOS lines get their own section so the button sits next to them
+    if (perLineButtons && watchSkus.has(v.sku)) {
+      if (current.length) flush();
+      if (sections >= MAX_SECTIONS) break; // safety cap
+      blocks.push({
+        type: 'section',
+        text: { type: 'mrkdwn', text: line },
+        accessory: {
+          type: 'button',
+          action_id: 'watch_sku',
+          text: { type: 'plain_text', text: '🔔 Notify me', emoji: true },
+          value: v.sku,
+        },
+      });
+      sections += 1;
+      shown += 1;
+      continue;
+    }
+
+    if (currentLen + line.length + 1 > MAX_CHARS) {
+      flush();
+      if (sections >= MAX_SECTIONS) break; // safety cap
+    }
+    current.push(line);
+    currentLen += line.length + 1;
+    shown += 1;
+  }
+  if (current.length && sections < MAX_SECTIONS) flush();
+
+  // Never drop lines silently
+  if (shown < variants.length) blocks.push(truncationNotice(variants.length - shown));
+
+  if (watchSelect) {
+    blocks.push({
+      type: 'actions',
+      elements: [{
+        type: 'static_select',
+        action_id: 'watch_sku_select',
+        placeholder: { type: 'plain_text', text: '🔔 Notify me when back in stock…', emoji: true },
+        options: watchable.slice(0, 100).map(v => ({
+          text: { type: 'plain_text', text: (v.suffix || v.sku).slice(0, 75) },
+          value: v.sku,
+        })),
+      }],
+    });
+  }
+
+  return blocks;
+}
+
+// Car-first: one message, a bold heading per type followed by its lines
+function buildBlocksByType({ car, groups, headerLabel = 'In-Stock' }) {
+  const header = `*${headerLabel}* — *Car:* ${displayCar(car)} • ${groups.length} type${groups.length === 1 ? '' : 's'}`;
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: header } }];
+
+  const MAX_SECTIONS = 50 - 3; // header + staleness banner + truncation warning
+  const MAX_CHARS = 2900;
+  let current = [];
+  let currentLen = 0;
+  let shown = 0;
+
+  const flush = () => {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: current.join('\n') } });
+    current = [];
+    currentLen = 0;
+  };
+
+  const full = () => blocks.length - 1 >= MAX_SECTIONS;
+
+  // Start each type in a fresh section so headings never dangle at a section's end
+  groupsLoop:
+  for (const { type, variants } of groups) {
+    const lines = [`*${displayType(type)}* (${variants.length})`, ...variants.map(v => `• ${v.suffix || v.sku} — ${v.available}`)];
+    if (current.length) flush();
+    for (const [i, line] of lines.entries()) {
+      if (currentLen + line.length + 1 > MAX_CHARS) flush();
+      if (full()) break groupsLoop; // safety cap
+      current.push(line);
+      currentLen += line.length + 1;
+      if (i > 0) shown++;
+    }
+  }
+  if (current.length && !full()) flush();
+
+  // Never drop lines silently
+  const total = groups.reduce((a, g) => a + g.variants.length, 0);
+  if (shown < total) blocks.push(truncationNotice(total - shown));
+
+  return blocks;
+}
+
+/* =========================
+   Picker modal (shared by /stock and the Type-change rebuild)
+========================= */
+// SORT (radio) — also used by the car-first modal
+function sortInputBlock(initial = 'qtydesc') {
+  const options = [
+    { text: { type: 'plain_text', text: 'Alphabetical (A→Z)' }, value: 'alpha' },
+    { text: { type: 'plain_text', text: 'Quantity (High → Low)' }, value: 'qtydesc' }
+  ];
+  return {
+    type: 'input',
+    block_id: 'sort_block',
+    label: { type: 'plain_text', text: 'Display order' },
+    element: {
+      type: 'radio_buttons',
+      action_id: 'sort_choice',
+      options,
+      initial_option: options.find(o => o.value === initial) || options[1]
+    }
+  };
+}
+
+// Which quantities to show (radio): available alone, or every inventory state
+const QUANTITY_OPTIONS = [
+  { text: { type: 'plain_text', text: 'Available only' }, value: 'available' },
+  { text: { type: 'plain_text', text: 'Available, committed, incoming, on hand, reserved' }, value: 'states' },
+];
+
+function quantitiesInputBlock() {
+  return {
+    type: 'input',
+    block_id: 'quantities_block',
+    label: { type: 'plain_text', text: 'Quantities' },
+    element: {
+      type: 'radio_buttons',
+      action_id: 'quantities_choice',
+      options: QUANTITY_OPTIONS,
+      initial_option: QUANTITY_OPTIONS[0]
+    }
+  };
+}
+
+// Include OOS? (radio) — also used by the car-first modal
+function oosInputBlock(initial = 'in_only') {
+  const options = [
+    { text: { type: 'plain_text', text: 'Only show in-stock SKUs' }, value: 'in_only' },
+    { text: { type: 'plain_text', text: 'Show in-stock AND out-of-stock SKUs' }, value: 'with_oos' }
+  ];
+  return {
+    type: 'input',
+    block_id: 'oos_block',
+    label: { type: 'plain_text', text: 'Show only in-stock? Or also include out-of-stock?' },
+    element: {
+      type: 'radio_buttons',
+      action_id: 'oos_choice',
+      options,
+      initial_option: options.find(o => o.value === initial) || options[0]
+    }
+  };
+}
+
+function storeInputBlock() {
+  const options = [
+    ...[...stores.values()].map(st => ({ text: { type: 'plain_text', text: st.label.slice(0, 75) }, value: st.id })),
+    { text: { type: 'plain_text', text: 'All stores (side by side)' }, value: 'all' },
+  ];
+  return {
+    type: 'input',
+    block_id: 'store_block',
+    label: { type: 'plain_text', text: 'Store' },
+    element: { type: 'static_select', action_id: 'store_choice', options, initial_option: options[0] }
+  };
+}
+
+// prefs ({ s: sort, o: oos }) preselects the radios, e.g. the user's last-used choices
+function buildPickerView({ typeOptions, typeInitial, privateMetadata, prefs = {} }) {
+  return {
+    type: 'modal',
+    callback_id: 'stock_picker_submit',
     title: { type: 'plain_text', text: 'Inventory Picker' },
     submit: { type: 'plain_text', text: 'Show Results' },
     close: { type: 'plain_text', text: 'Cancel' },
-    private_metadata: body.view.private_metadata,
+    private_metadata: privateMetadata,
+    blocks: [
+      // TYPE (static_select)
+      {
+        type: 'input',
+        block_id: 'type_block',
+        dispatch_action: true, // ✅ tell Slack to send a block_actions payload on change
+        label: { type: 'plain_text', text: 'Choose a Product Type' },
+        element: {
+          type: 'static_select',
+          action_id: 'ptype_select',
+          options: typeOptions,
+          ...(typeInitial ? { initial_option: typeInitial } : {}),
+          placeholder: { type: 'plain_text', text: 'e.g., STEERINGWHEEL' }
+        }
+      },
+
+      // CAR (external_select) — options come from the car_select handler
+      {
+        type: 'input',
+        block_id: 'car_block',
+        label: { type: 'plain_text', text: 'Choose a Car' },
+        element: {
+          type: 'external_select',
+          action_id: 'car_select',
+          min_query_length: 0, // ← important: load options even without typing
+          placeholder: { type: 'plain_text', text: 'Pick a type first…' }
+        }
+      },
+
+      // SORT + Include OOS? + which quantities (radios)
+      sortInputBlock(prefs.s),
+      oosInputBlock(prefs.o),
+      quantitiesInputBlock(),
+
+      // OUTPUT FORMAT (radio) — message, or a CSV/XLSX file upload
+      {
+        type: 'input',
+        block_id: 'format_block',
+        label: { type: 'plain_text', text: 'Output format' },
+        element: {
+          type: 'radio_buttons',
+          action_id: 'format_choice',
+          options: EXPORT_FORMAT_OPTIONS,
+          initial_option: EXPORT_FORMAT_OPTIONS[0]
+        }
+      },
+
+      // STORE (static_select) — only with several shops; 'all' shows them side by side
+      ...(multiStore ? [storeInputBlock()] : []),
+
+      // LOCATION (static_select) — total, breakdown, or a single location
+      {
+        type: 'input',
+        block_id: 'location_block',
+        label: { type: 'plain_text', text: 'Location' },
+        element: {
+          type: 'static_select',
+          action_id: 'location_choice',
+          options: locationOptions(),
+          initial_option: locationOptions()[0]
+        }
+      },
+
+      // SAVE AS PRESET (optional) — replay later with `/stock <name>`
+      {
+        type: 'input',
+        block_id: 'preset_save_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Preset' },
+        element: {
+          type: 'checkboxes',
+          action_id: 'preset_save',
+          options: [{ text: { type: 'plain_text', text: 'Save as preset' }, value: 'save' }]
+        }
+      },
+      {
+        type: 'input',
+        block_id: 'preset_name_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Preset name' },
+        hint: { type: 'plain_text', text: 'Run it later with /stock <name>. Letters, digits, - and _.' },
+        element: {
+          type: 'plain_text_input',
+          action_id: 'preset_name',
+          max_length: PRESET_NAME_MAX,
+          placeholder: { type: 'plain_text', text: 'e.g. m3-wheels' }
+        }
+      }
+    ]
+  };
+}
+
+/* =========================
+   Free-text SKU search (/stock <query>)
+   Exact SKU > SKU prefix > fuzzy (every query token must hit the SKU,
+   suffix or product title, allowing one typo on longer tokens).
+========================= */
+function editDistanceAtMost1(a, b) {
+  if (Math.abs(a.length - b.length) > 1) return false;
+  let i = 0, j = 0, edits = 0;
+  while (i < a.length && j < b.length) {
+    if (a[i] === b[j]) { i++; j++; continue; }
+    if (++edits > 1) return false;
+    if (a.length > b.length) i++;
+    else if (b.length > a.length) j++;
+    else { i++; j++; }
+  }
+  return edits + (a.length - i) + (b.length - j) <= 1;
+}
+
+function fuzzyScore(tokens, entry) {
+  const hay = `${entry.sku} ${entry.suffix || ''} ${entry.title || ''}`.toUpperCase();
+  const words = hay.split(/[^A-Z0-9]+/).filter(Boolean);
+  let score = 0;
+  for (const t of tokens) {
+    if (hay.includes(t)) score += 2;
+    else if (words.some(w => w.startsWith(t) || (t.length >= 4 && editDistanceAtMost1(t, w)))) score += 1;
+    else return 0;
+  }
+  return score;
+}
+
+// Ranked [{ sku, type, car, entry, kind: 'exact'|'prefix'|'fuzzy', score }]
+function searchIndex(query) {
+  const q = String(query || '').trim().toUpperCase();
+  if (!q) return [];
+  const tokens = q.split(/\s+/);
+  const results = [];
+
+  for (const [sku, found] of entriesBySku(skuIndex)) {
+    if (sku === q) {
+      results.push({ sku, ...found, kind: 'exact', score: 1000 });
+    } else if (tokens.length === 1 && sku.startsWith(q)) {
+      results.push({ sku, ...found, kind: 'prefix', score: 500 - (sku.length - q.length) });
+    } else {
+      const score = fuzzyScore(tokens, found.entry);
+      if (score) results.push({ sku, ...found, kind: 'fuzzy', score });
+    }
+  }
+  return results.sort((a, b) => b.score - a.score || a.sku.localeCompare(b.sku));
+}
+
+// One SKU in full: totals, per-location breakdown, and a watch button when OOS
+function buildSkuDetailBlocks({ sku, type, car, entry }) {
+  const status = entry.available > 0 ? `✅ *${entry.available}* in stock` : '❌ Out of stock';
+  const lines = [
+    `*${sku}*`,
+    `*Type:* ${displayType(type)} • *Car:* ${displayCar(car)}${entry.title ? ` • ${entry.title}` : ''}`,
+    status,
+  ];
+  if (entry.states) lines.push(formatStates(entry));
+  if (skuIndex.locations.size) lines.push(`_${formatLocationBreakdown(entry)}_`);
+
+  const section = { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } };
+  if (entry.available <= 0) {
+    section.accessory = {
+      type: 'button',
+      action_id: 'watch_sku',
+      text: { type: 'plain_text', text: '🔔 Notify me', emoji: true },
+      value: sku,
+    };
+  }
+  const actions = {
+    type: 'actions',
+    elements: [{ type: 'button', action_id: 'adjust_sku', text: { type: 'plain_text', text: '✏️ Adjust', emoji: true }, value: sku }],
+  };
+  return withStalenessBanner([section, actions]);
+}
+
+const SEARCH_CHOICES = 8;
+
+// Ephemeral "did you mean" list with a Show button per match
+function buildDisambiguationBlocks(query, results) {
+  const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: `*${results.length}* matches for \`${query}\` — pick one:` } }];
+  for (const r of results.slice(0, SEARCH_CHOICES)) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${r.sku}* — ${r.entry.available}${r.entry.title ? `\n_${r.entry.title}_` : ''}` },
+      accessory: {
+        type: 'button',
+        action_id: 'stock_search_pick',
+        text: { type: 'plain_text', text: 'Show' },
+        value: r.sku,
+      },
+    });
+  }
+  if (results.length > SEARCH_CHOICES) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${results.length - SEARCH_CHOICES} more. Refine your search to narrow it down.` }] });
+  }
+  return blocks;
+}
+
+async function answerStockSearch({ body, client }) {
+  const query = String(body.text || '').trim();
+  const channel = body.channel_id;
+  const user = body.user_id;
+  const results = searchIndex(query);
+
+  if (!results.length) {
+    await client.chat.postEphemeral({ channel, user, text: `No SKUs match \`${query}\`. Run \`/stock\` with no text to browse.` });
+    return;
+  }
+
+  if (results[0].kind === 'exact' || results.length === 1) {
+    await client.chat.postMessage({ channel, text: `${results[0].sku}: ${results[0].entry.available}`, blocks: buildSkuDetailBlocks(results[0]) });
+    return;
+  }
+
+  await client.chat.postEphemeral({ channel, user, text: `${results.length} matches for ${query}`, blocks: buildDisambiguationBlocks(query, results) });
+}
+
+app.action('stock_search_pick', async ({ ack, body, client, respond }) => {
+  await ack();
+  const sku = body.actions?.[0]?.value;
+  const found = entriesBySku(skuIndex).get(sku);
+  if (!found) {
+    await respond({ replace_original: true, text: `*${sku}* is no longer in the index.` });
+    return;
+  }
+  await client.chat.postMessage({ channel: body.channel.id, text: `${sku}: ${found.entry.available}`, blocks: buildSkuDetailBlocks({ sku, ...found }) });
+  await respond({ delete_original: true });
+});
+
+/* =========================
+   Picker presets + remembered defaults (data/presets.json)
+   { [userId]: { presets: { [name]: { spec, format } }, last: { s, o } } }
+========================= */
+let userPrefs = {};
+const PRESET_NAME_MAX = 30;
+const PRESET_NAME_RE = /^[a-z0-9][a-z0-9_-]*$/;
+const RESERVED_PRESET_NAMES = new Set(['presets']);
+
+async function loadPresets() {
+  try {
+    userPrefs = (await readJsonIfExists(PRESETS_FILE)) || {};
+  } catch (e) {
+    console.error('❗Could not load presets:', e?.message || e);
+  }
+}
+
+async function savePresets() {
+  try {
+    await writeJsonAtomic(PRESETS_FILE, userPrefs);
+  } catch (e) {
+    console.error('❗Could not save presets:', e?.message || e);
+  }
+}
+
+const prefsFor = (user) => (userPrefs[user] ||= { presets: {}, last: {} });
+const lastChoices = (user) => userPrefs[user]?.last || {};
+const findPreset = (user, name) => userPrefs[user]?.presets?.[String(name || '').trim().toLowerCase()] || null;
+
+// Results for one picker spec: a paged message, or a CSV/XLSX upload
+async function postPickerResults({ client, channel, user, spec, format = 'message' }) {
+  const sel = selectPickerVariants(spec);
+  if (!sel.variants.length) {
+    await client.chat.postMessage({ channel, text: sel.emptyText, blocks: textBlocks(sel.emptyText) });
+    return;
+  }
+  if (format !== 'message') {
+    const { t: type, c: car, o: includeOpt, st: storeChoice } = spec;
+    const base = multiStore ? `${type}-${car}-${storeChoice}` : `${type}-${car}`;
+    const name = includeOpt === 'in_only' ? `${base}-in-stock` : base;
+    const rows = exportRows(type, car, sel.variants, sel.exportExtras);
+    try {
+      await uploadExport({ client, channel, format, rows, name, columns: sel.exportColumns, store: sel.store });
+    } catch (e) {
+      console.error('❗Export upload failed:', e?.data?.error || e?.message || e);
+      const text = `❌ Upload failed (${e?.data?.error || 'see logs'}). Is the bot in this channel?`;
+      if (channel !== user) await client.chat.postEphemeral({ channel, user, text });
+      else await client.chat.postMessage({ channel: user, text });
+    }
+    return;
+  }
+  await client.chat.postMessage({ channel, text: sel.summary, blocks: buildResultsPage(spec, sel) });
+}
+
+// `/stock presets` lists them; `/stock presets delete <name>` removes one
+async function answerPresetsCommand({ body, client }) {
+  const user = body.user_id;
+  const [, action = '', name = ''] = String(body.text || '').trim().toLowerCase().split(/\s+/);
+  const presets = userPrefs[user]?.presets || {};
+  let text;
+
+  if (action === 'delete' && name) {
+    if (presets[name]) {
+      delete presets[name];
+      await savePresets();
+      text = `🗑️ Deleted preset *${name}*.`;
+    } else {
+      text = `You have no preset named *${name}*.`;
+    }
+  } else {
+    const lines = Object.entries(presets).map(([n, { spec, format }]) =>
+      `• \`${n}\` — ${displayType(spec.t)} / ${displayCar(spec.c)}${spec.o === 'with_oos' ? ' (+OOS)' : ''}${format !== 'message' ? ` → ${format.toUpperCase()}` : ''}`);
+    text = lines.length
+      ? `*Your presets*\n${lines.join('\n')}\nRun one with \`/stock <name>\`; delete with \`/stock presets delete <name>\`.`
+      : 'You have no presets yet. Tick *Save as preset* in the `/stock` picker to make one.';
+  }
+  await client.chat.postEphemeral({ channel: body.channel_id, user, text });
+}
+
+/* =========================
+   Slash: /stock  (Single-modal)
+========================= */
+app.command('/stock', async ({ ack, body, client }) => {
+  await ack();
+
+  // `/stock <preset>` replays a saved preset, `/stock <query>` searches, bare `/stock` opens the picker
+  const text = String(body.text || '').trim();
+  if (text.toLowerCase().split(/\s+/)[0] === 'presets') {
+    await answerPresetsCommand({ body, client });
+    return;
+  }
+  const preset = findPreset(body.user_id, text);
+  if (preset) {
+    await postPickerResults({ client, channel: body.channel_id, user: body.user_id, spec: { ...preset.spec, p: 0 }, format: preset.format });
+    return;
+  }
+  if (text) {
+    await answerStockSearch({ body, client });
+    return;
+  }
+
+  const typeOptions = optionsFromTypesWithPriority(allStoreTypes());
+  if (!typeOptions.length) {
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: 'Index is building or empty. Try /stock-refresh. If it stays empty, check logs for errors.'
+    });
+    return;
+  }
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: buildPickerView({
+      typeOptions,
+      privateMetadata: JSON.stringify({ channel: body.channel_id }),
+      prefs: lastChoices(body.user_id),
+    })
+  });
+});
+
+app.options('car_select', async ({ ack, payload }) => {
+  try {
+    // Robustly read the currently selected TYPE from the live view state
+    const type =
+      payload?.view?.state?.values?.type_block?.ptype_select?.selected_option?.value;
+
+    // If no type yet, return empty (Slack shows the placeholder)
+    if (!type) {
+      await ack({ options: [] });
+      return;
+    }
+
+    const cars = allStoreCars(type);
+    const indexes = [...stores.values()].map(st => st.index);
+    const option_groups = carOptionGroups(cars, payload?.value, c => inStockCountFor(`${type}::${c}`, indexes));
+    await ack(option_groups.length ? { option_groups } : { options: [] });
+  } catch (err) {
+    console.error('car_select options error:', err);
+    await ack({ options: [] });
+  }
+});
+
+/* =========================
+   Action: when Type changes, rebuild the Car options and update the modal
+========================= */
+app.action('ptype_select', async ({ ack, body, client }) => {
+  await ack();
+
+  // 1) what Type did they select?
+  const selectedType = body.actions?.[0]?.selected_option?.value;
+
+  // 2) build fresh Type options (Car options load through the car_select handler)
+  const typeOptions = optionsFromTypesWithPriority(allStoreTypes());
+  const typeInitial = typeOptions.find(o => o.value === selectedType) || typeOptions[0];
+
+  // 3) rebuild the same view so the Car select reloads for the new Type
+  //    (keeping whatever sort/OOS the user has picked so far)
+  const values = body.view.state?.values || {};
+  const newView = buildPickerView({
+    typeOptions,
+    typeInitial,
+    privateMetadata: body.view.private_metadata,
+    prefs: {
+      s: values.sort_block?.sort_choice?.selected_option?.value || lastChoices(body.user.id).s,
+      o: values.oos_block?.oos_choice?.selected_option?.value || lastChoices(body.user.id).o,
+    },
+  });
+
+  // 4) push the updated view (replace the current modal)
+  await client.views.update({
+    view_id: body.view.id,
+    hash: body.view.hash,       // prevents race conditions
+    view: newView
+  });
+});
+
+/* =========================
+   View submit: stock_picker_submit -> post results
+========================= */
+app.view('stock_picker_submit', async ({ ack, body, view, client }) => {
+  // Validate required fields
+  const errors = {};
+  const type = view.state.values?.type_block?.ptype_select?.selected_option?.value;
+  const car  = view.state.values?.car_block?.car_select?.selected_option?.value;
+  const sortChoice =
+    view.state.values?.sort_block?.sort_choice?.selected_option?.value || 'qtydesc';
+  const includeOpt =
+    view.state.values?.oos_block?.oos_choice?.selected_option?.value || 'in_only';
+  const locationChoice =
+    view.state.values?.location_block?.location_choice?.selected_option?.value || 'all';
+  const format =
+    view.state.values?.format_block?.format_choice?.selected_option?.value || 'message';
+  const quantities =
+    view.state.values?.quantities_block?.quantities_choice?.selected_option?.value || 'available';
+  const storeChoice =
+    view.state.values?.store_block?.store_choice?.selected_option?.value || primaryStore.id;
+
+  const savePreset = (view.state.values?.preset_save_block?.preset_save?.selected_options || []).length > 0;
+  const presetName = String(view.state.values?.preset_name_block?.preset_name?.value || '').trim().toLowerCase();
+
+  if (!type) errors['type_block'] = 'Please choose a Product Type.';
+  if (!car)  errors['car_block']  = 'Please choose a Car.';
+  if (savePreset && !PRESET_NAME_RE.test(presetName)) {
+    errors['preset_name_block'] = 'Name the preset: letters, digits, - and _ (no spaces).';
+  } else if (savePreset && RESERVED_PRESET_NAMES.has(presetName)) {
+    errors['preset_name_block'] = `“${presetName}” is reserved; pick another name.`;
+  }
+
+  if (Object.keys(errors).length) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+
+  await ack(); // close modal
+
+  // Where to post
+  const md = JSON.parse(view.private_metadata || '{}');
+  const channel = md.channel;
+  const user = body.user.id;
+
+  const spec = { t: type, c: car, s: sortChoice, o: includeOpt, l: locationChoice, q: quantities, st: storeChoice, p: 0 };
+
+  // Remember sort/OOS for next time, and the preset if asked
+  const prefs = prefsFor(user);
+  prefs.last = { s: sortChoice, o: includeOpt };
+  if (savePreset) prefs.presets[presetName] = { spec: { ...spec, p: undefined }, format };
+  await savePresets();
+
+  await postPickerResults({ client, channel, user, spec, format });
+
+  if (savePreset) {
+    const text = `💾 Saved preset *${presetName}*. Run it with \`/stock ${presetName}\`.`;
+    if (channel && channel !== user) await client.chat.postEphemeral({ channel, user, text });
+    else await client.chat.postMessage({ channel: user, text });
+  }
+});
+
+/* =========================
+   Paged results: Previous/Next re-render from the live index.
+   The query travels in the button value: { t: type, c: car, s: sort, o: oos, l: location, q: quantities, st: store, p: page }.
+========================= */
+const RESULTS_PAGE_SIZE = Math.max(10, parseInt(process.env.RESULTS_PAGE_SIZE || '100', 10));
+
+// The picker query -> sorted variants plus everything needed to render them
+function selectPickerVariants(spec) {
+  if (spec.st === 'all' && multiStore) return selectAllStoresVariants(spec);
+  const { t: type, c: car, s: sortChoice, o: includeOpt, l: locationChoice = 'all', q: quantities = 'available' } = spec;
+  const store = stores.get(spec.st) || primaryStore;
+  const idx = store.index;
+  const key = `${type}::${car}`;
+  const inStock = idx.inStockByTypeCar.get(key) || [];
+  const oosList = idx.outOfStockByTypeCar.get(key) || [];
+  const sortFn = sortChoice === 'alpha' ? sortBySuffixAsc : sortByQtyDesc;
+  const storeLabel = multiStore ? store.label : undefined;
+  const isPrimary = store === primaryStore;
+
+  // Location: 'all' (totals), 'columns' (totals + breakdown) or a single location id
+  const singleLocation = locationChoice !== 'all' && locationChoice !== 'columns' ? locationChoice : null;
+  const locationLabel = singleLocation ? (idx.locations.get(singleLocation) || singleLocation) : undefined;
+  const showLocations = locationChoice === 'columns';
+  const showStates = quantities === 'states';
+  const where = locationLabel ? ` at *${locationLabel}*` : '';
+
+  if (includeOpt === 'in_only') {
+    let variants = dedupeBySku(inStock);
+    if (singleLocation) variants = atLocation(variants, singleLocation).filter(v => v.available > 0);
+    return {
+      type, car, locationLabel, showLocations, showStates, store, storeLabel, isPrimary,
+      locations: idx.locations,
+      variants: sortFn(variants),
+      headerLabel: 'In-Stock',
+      summary: `${type}/${car} in-stock SKUs`,
+      emptyText: `No in-stock variants for *${type}* / *${car}*${where}.`,
+      watchSkus: null,
+    };
+  }
+
+  // with_oos
+  let combined = dedupeBySku([...inStock, ...oosList]);
+  if (singleLocation) combined = atLocation(combined, singleLocation);
+  return {
+    type, car, locationLabel, showLocations, showStates, store, storeLabel, isPrimary,
+    locations: idx.locations,
+    variants: sortFn(combined),
+    headerLabel: 'In-Stock + OOS',
+    summary: `${type}/${car} variants (in-stock + OOS)`,
+    emptyText: `No variants (in-stock or out-of-stock) for *${type}* / *${car}*.`,
+    // Watches follow the primary store only
+    watchSkus: isPrimary ? new Set(dedupeBySku(oosList).map(v => v.sku)) : null,
+  };
+}
+
+// "All stores": one line per SKU with each store's available (n/a where a store lacks the SKU).
+// Location and quantity-state options don't apply across shops.
+function selectAllStoresVariants({ t: type, c: car, s: sortChoice, o: includeOpt }) {
+  const key = `${type}::${car}`;
+  const all = [...stores.values()];
+  const bySku = new Map();
+  for (const store of all) {
+    const idx = store.index;
+    for (const v of dedupeBySku([...(idx.inStockByTypeCar.get(key) || []), ...(idx.outOfStockByTypeCar.get(key) || [])])) {
+      const row = bySku.get(v.sku) || { ...v, available: 0, byStore: {} };
+      row.byStore[store.id] = v.available;
+      row.available += v.available;
+      bySku.set(v.sku, row);
+    }
+  }
+  let variants = [...bySku.values()];
+  if (includeOpt === 'in_only') variants = variants.filter(v => v.available > 0);
+  const sortFn = sortChoice === 'alpha' ? sortBySuffixAsc : sortByQtyDesc;
+
+  return {
+    type, car, storeColumns: all, storeLabel: 'All stores', isPrimary: false,
+    variants: sortFn(variants),
+    headerLabel: includeOpt === 'in_only' ? 'In-Stock' : 'In-Stock + OOS',
+    summary: `${type}/${car} across ${all.length} stores`,
+    emptyText: `No ${includeOpt === 'in_only' ? 'in-stock ' : ''}variants for *${type}* / *${car}* in any store.`,
+    watchSkus: null,
+    exportColumns: [
+      ...EXPORT_COLUMNS.filter(c => !EXTRA_STATES.includes(c.key)),
+      ...all.map(st => ({ header: `Available (${st.label})`, key: `store:${st.id}`, width: 14 })),
+    ],
+    exportExtras: (v) => Object.fromEntries(all.map(st => [`store:${st.id}`, v.byStore[st.id] ?? ''])),
+  };
+}
+
+// One page: the usual result blocks, a "Showing X–Y of N" footer and Previous/Next when needed
+function buildResultsPage(spec, sel) {
+  const total = sel.variants.length;
+  const pages = Math.max(1, Math.ceil(total / RESULTS_PAGE_SIZE));
+  const page = Math.min(Math.max(0, Number(spec.p) || 0), pages - 1);
+  const from = page * RESULTS_PAGE_SIZE;
+  const pageVariants = sel.variants.slice(from, from + RESULTS_PAGE_SIZE);
+
+  const blocks = buildBlocksOneMessage({
+    type: sel.type,
+    car: sel.car,
+    variants: pageVariants,
+    headerLabel: sel.headerLabel,
+    locationLabel: sel.locationLabel,
+    storeLabel: sel.storeLabel,
+    locations: sel.locations,
+    showLocations: sel.showLocations,
+    showStates: sel.showStates,
+    storeColumns: sel.storeColumns,
+    watchSkus: sel.watchSkus,
+  });
+
+  const pageNote = pages > 1 ? ` • page ${page + 1} of ${pages}` : '';
+  blocks.push({
+    type: 'context',
+    elements: [{ type: 'mrkdwn', text: `Showing ${from + 1}–${from + pageVariants.length} of ${total}${pageNote}` }],
+  });
+
+  // "Adjust…" shares the actions block with the page buttons (Slack caps options at 100);
+  // adjustments go to the primary store only
+  const nav = sel.isPrimary ? [{
+    type: 'static_select',
+    action_id: 'adjust_sku_select',
+    placeholder: { type: 'plain_text', text: '✏️ Adjust a SKU…', emoji: true },
+    options: pageVariants.slice(0, 100).map(v => ({
+      text: { type: 'plain_text', text: (v.suffix || v.sku).slice(0, 75) },
+      value: v.sku,
+    })),
+  }] : [];
+  if (pages > 1) {
+    if (page > 0) {
+      nav.push({ type: 'button', action_id: 'results_page_prev', text: { type: 'plain_text', text: '◀ Previous' }, value: JSON.stringify({ ...spec, p: page - 1 }) });
+    }
+    if (page < pages - 1) {
+      nav.push({ type: 'button', action_id: 'results_page_next', text: { type: 'plain_text', text: 'Next ▶' }, value: JSON.stringify({ ...spec, p: page + 1 }) });
+    }
+  }
+  if (nav.length) blocks.push({ type: 'actions', elements: nav });
+
+  // All-stores pages flag every store whose last refresh failed
+  const banners = (sel.storeColumns || [sel.store]).map(st => stalenessBlock(st)).filter(Boolean);
+  return [...blocks, ...banners];
+}
+
+async function onResultsPage({ ack, body, client }) {
+  await ack();
+  const spec = JSON.parse(body.actions?.[0]?.value || '{}');
+  const sel = selectPickerVariants(spec);
+  const channel = body.channel?.id;
+  const ts = body.message?.ts;
+
+  if (!sel.variants.length) {
+    await client.chat.update({ channel, ts, text: sel.emptyText, blocks: textBlocks(sel.emptyText) });
+    return;
+  }
+  await client.chat.update({ channel, ts, text: sel.summary, blocks: buildResultsPage(spec, sel) });
+}
+
+app.action('results_page_prev', onResultsPage);
+app.action('results_page_next', onResultsPage);
+
+
+/* =========================
+   Slash: /stock-car  (car-first: every type for one car)
+========================= */
+app.command('/stock-car', async ({ ack, body, client }) => {
+  await ack();
+
+  if (!skuIndex.typesByCar.size) {
+    await client.chat.postEphemeral({
+      channel: body.channel_id,
+      user: body.user_id,
+      text: 'Index is building or empty. Try /stock-refresh. If it stays empty, check logs for errors.'
+    });
+    return;
+  }
+
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: {
+      type: 'modal',
+      callback_id: 'stock_car_submit',
+      title: { type: 'plain_text', text: 'Browse by Car' },
+      submit: { type: 'plain_text', text: 'Show Results' },
+      close: { type: 'plain_text', text: 'Cancel' },
+      private_metadata: JSON.stringify({ channel: body.channel_id }),
+      blocks: [
+        {
+          type: 'input',
+          block_id: 'any_car_block',
+          label: { type: 'plain_text', text: 'Choose a Car' },
+          element: {
+            type: 'external_select',
+            action_id: 'any_car_select',
+            min_query_length: 0,
+            placeholder: { type: 'plain_text', text: 'Type to search all cars…' }
+          }
+        },
+        sortInputBlock(lastChoices(body.user_id).s),
+        oosInputBlock(lastChoices(body.user_id).o),
+      ]
+    }
+  });
+});
+
+// Every car in the index, filtered by what's typed; counts span all of the car's types
+app.options('any_car_select', async ({ ack, payload }) => {
+  try {
+    const countAcrossTypes = (car) =>
+      [...(skuIndex.typesByCar.get(car) || [])].reduce((n, type) => n + inStockCountFor(`${type}::${car}`), 0);
+    const option_groups = carOptionGroups(skuIndex.typesByCar.keys(), payload?.value, countAcrossTypes);
+    await ack(option_groups.length ? { option_groups } : { options: [] });
+  } catch (err) {
+    console.error('any_car_select options error:', err);
+    await ack({ options: [] });
+  }
+});
+
+app.view('stock_car_submit', async ({ ack, body, view, client }) => {
+  const car = view.state.values?.any_car_block?.any_car_select?.selected_option?.value;
+  const sortChoice = view.state.values?.sort_block?.sort_choice?.selected_option?.value || 'qtydesc';
+  const includeOpt = view.state.values?.oos_block?.oos_choice?.selected_option?.value || 'in_only';
+
+  if (!car) {
+    await ack({ response_action: 'errors', errors: { any_car_block: 'Please choose a Car.' } });
+    return;
+  }
+  await ack();
+
+  prefsFor(body.user.id).last = { s: sortChoice, o: includeOpt };
+  await savePresets();
+
+  const { channel } = JSON.parse(view.private_metadata || '{}');
+  const sortFn = sortChoice === 'alpha' ? sortBySuffixAsc : sortByQtyDesc;
+
+  const groups = [];
+  for (const type of orderTypes(skuIndex.typesByCar.get(car) || new Set())) {
+    const key = `${type}::${car}`;
+    const inStock = skuIndex.inStockByTypeCar.get(key) || [];
+    const oosList = includeOpt === 'with_oos' ? (skuIndex.outOfStockByTypeCar.get(key) || []) : [];
+    const variants = dedupeBySku([...inStock, ...oosList]);
+    if (variants.length) groups.push({ type, variants: sortFn(variants) });
+  }
+
+  if (!groups.length) {
+    const text = includeOpt === 'with_oos' ? `No variants for *${car}*.` : `No in-stock variants for *${car}*.`;
+    await client.chat.postMessage({ channel, text, blocks: textBlocks(text) });
+    return;
+  }
+
+  const headerLabel = includeOpt === 'with_oos' ? 'In-Stock + OOS' : 'In-Stock';
+  const blocks = buildBlocksByType({ car, groups, headerLabel });
+  await client.chat.postMessage({ channel, text: `${car}: ${groups.length} product types`, blocks: withStalenessBanner(blocks) });
+});
+
+/* =========================
+   Slash: /stock-parse <sku>  (grammar debugging)
+========================= */
+app.command('/stock-parse', async ({ ack, body, client }) => {
+  await ack();
+
+  const channel = body.channel_id;
+  const user = body.user_id;
+  const arg = String(body.text || '').trim();
+
+  if (!arg) {
+    await client.chat.postEphemeral({ channel, user, text: 'Usage: `/stock-parse <SKU>` (or `/stock-parse reload` to re-read the grammar)' });
+    return;
+  }
+  if (arg.toLowerCase() === 'reload') {
+    await loadSkuGrammar();
+    await client.chat.postEphemeral({ channel, user, text: `🧩 Grammar rules: ${skuGrammar.map(r => r.name).join(', ')}. Run /stock-refresh to re-index with it.` });
+    return;
+  }
+
+  const sku = arg.toUpperCase();
+  const parsed = parseSku(sku);
+  let text;
+  if (!parsed) {
+    text = `❌ *${sku}* matches no grammar rule (tried: ${skuGrammar.map(r => r.name).join(', ')}). It is left out of the index.`;
+  } else {
+    const segs = Object.entries(parsed.segments).map(([k, val]) => `• *${k}:* \`${val}\``);
+    const indexed = entriesBySku(skuIndex).has(sku) ? 'in the index' : 'not in the index';
+    text = [
+      `🧩 *${sku}* — rule *${parsed.rule}* (${indexed})`,
+      ...segs,
+      `• *suffix (display):* ${parsed.suffix ? `\`${parsed.suffix}\`` : '_(empty)_'}`,
+    ].join('\n');
+  }
+  await client.chat.postEphemeral({ channel, user, text });
+});
+
+/* =========================
+   Slash: /stock-config [reload]
+========================= */
+const isAdmin = (user) => !ADMIN_USER_IDS.length || ADMIN_USER_IDS.includes(user);
+
+app.command('/stock-config', async ({ ack, body, client }) => {
+  await ack();
+
+  const channel = body.channel_id;
+  const user = body.user_id;
+  const arg = String(body.text || '').trim().toLowerCase();
+  let text;
+
+  if (arg === 'reload') {
+    if (!isAdmin(user)) {
+      await client.chat.postEphemeral({ channel, user, text: '⛔ Only admins can reload the catalog config.' });
+      return;
+    }
+    const reindex = await reloadCatalogConfig();
+    text = `📒 Catalog config reloaded.${reindex ? ' Aliases/exclusions changed — re-indexing in the background.' : ''}`;
+  } else {
+    const c = catalogConfig;
+    text = [
+      `📒 *Catalog config* (\`${CATALOG_FILE}\`)`,
+      `• *Type order:* ${c.typeOrder.join(', ') || '—'}`,
+      `• *Display names:* ${Object.keys(c.displayNames.types).length} types, ${Object.keys(c.displayNames.cars).length} cars`,
+      `• *Car aliases:* ${Object.entries(c.carAliases).map(([a, to]) => `${a}→${to}`).join(', ') || '—'}`,
+      `• *Exclusions:* ${c.exclusions.map(r => `${r.field} ${r.equals != null ? `= ${r.equals}` : r.contains != null ? `∋ ${r.contains}` : `~ /${r.pattern}/`} (${r.appliesTo})`).join('; ') || '—'}`,
+      '_Reload with_ `/stock-config reload`',
+    ].join('\n');
+  }
+
+  await client.chat.postEphemeral({ channel, user, text });
+});
+
+/* =========================
+   CSV / XLSX export (files.uploadV2)
+========================= */
+const EXPORT_FORMAT_OPTIONS = [
+  { text: { type: 'plain_text', text: 'Slack message' }, value: 'message' },
+  { text: { type: 'plain_text', text: 'CSV file' }, value: 'csv' },
+  { text: { type: 'plain_text', text: 'Excel (XLSX) file' }, value: 'xlsx' },
+];
+
+const EXPORT_COLUMNS = [
+  { header: 'SKU', key: 'sku', width: 34 },
+  { header: 'Type', key: 'type', width: 20 },
+  { header: 'Car', key: 'car', width: 14 },
+  { header: 'Suffix', key: 'suffix', width: 20 },
+  { header: 'Available', key: 'available', width: 10 },
+  { header: 'Committed', key: 'committed', width: 10 },
+  { header: 'Incoming', key: 'incoming', width: 10 },
+  { header: 'On Hand', key: 'on_hand', width: 10 },
+  { header: 'Reserved', key: 'reserved', width: 10 },
+  { header: 'Product Title', key: 'title', width: 40 },
+  { header: 'Status', key: 'status', width: 10 },
+];
+
+// extras(v) adds per-row columns (e.g. one per store)
+function exportRows(type, car, variants, extras = () => ({})) {
+  return variants.map(v => ({
+    sku: v.sku,
+    type,
+    car,
+    suffix: v.suffix || '',
+    available: v.available,
+    ...Object.fromEntries(EXTRA_STATES.map(n => [n, v.states?.[n] ?? ''])),
+    title: v.title || '',
+    status: v.available > 0 ? 'In stock' : 'OOS',
+    ...extras(v),
+  }));
+}
+
+// Every in-stock and OOS entry, optionally for one type, in type order then car A→Z
+function catalogExportRows(onlyType) {
+  const rows = [];
+  for (const type of orderTypes(skuIndex.types)) {
+    if (onlyType && type !== onlyType) continue;
+    for (const car of [...(skuIndex.carsByType.get(type) || [])].sort()) {
+      const key = `${type}::${car}`;
+      const variants = dedupeBySku([...(skuIndex.inStockByTypeCar.get(key) || []), ...(skuIndex.outOfStockByTypeCar.get(key) || [])]);
+      rows.push(...exportRows(type, car, sortBySuffixAsc(variants)));
+    }
+  }
+  return rows;
+}
+
+function toCsv(rows, columns = EXPORT_COLUMNS) {
+  const cell = (x) => {
+    const v = String(x ?? '');
+    return /[",\r\n]/.test(v) ? `"${v.replace(/"/g, '""')}"` : v;
+  };
+  const lines = [columns.map(c => cell(c.header)).join(',')];
+  for (const r of rows) lines.push(columns.map(c => cell(r[c.key])).join(','));
+  return Buffer.from(lines.join('\r\n') + '\r\n', 'utf8');
+}
+
+async function toXlsx(rows, columns = EXPORT_COLUMNS) {
+  const wb = new ExcelJS.Workbook();
+  const ws = wb.addWorksheet('Inventory');
+  ws.columns = columns;
+  ws.getRow(1).font = { bold: true };
+  ws.views = [{ state: 'frozen', ySplit: 1 }];
+  ws.addRows(rows);
+  return Buffer.from(await wb.xlsx.writeBuffer());
+}
+
+async function uploadExport({ client, channel, format, rows, name, columns = EXPORT_COLUMNS, store = primaryStore }) {
+  const stamp = new Date().toISOString().slice(0, 16).replace(/[:T]/g, '-');
+  const filename = `${name}-${stamp}.${format}`.replace(/[^\w.-]+/g, '_');
+  const file = format === 'xlsx' ? await toXlsx(rows, columns) : toCsv(rows, columns);
+  const banner = stalenessBlock(store);
+  await client.files.uploadV2({
+    channel_id: channel,
+    file,
+    filename,
+    title: filename,
+    initial_comment: `📎 ${rows.length} row${rows.length === 1 ? '' : 's'}${banner ? `\n${banner.elements[0].text}` : ''}`,
+  });
+}
+
+/* =========================
+   Slash: /stock-export [TYPE|all] [csv|xlsx]
+========================= */
+app.command('/stock-export', async ({ ack, body, client }) => {
+  await ack();
+
+  const channel = body.channel_id;
+  const user = body.user_id;
+  const args = String(body.text || '').trim().toUpperCase().split(/\s+/).filter(Boolean);
+  const format = args.includes('XLSX') ? 'xlsx' : 'csv';
+  const typeArg = args.find(a => a !== 'XLSX' && a !== 'CSV' && a !== 'ALL');
+
+  if (typeArg && !skuIndex.types.has(typeArg)) {
+    await client.chat.postEphemeral({ channel, user, text: `Unknown type *${typeArg}*. Usage: \`/stock-export [TYPE|all] [csv|xlsx]\`` });
+    return;
+  }
+
+  const rows = catalogExportRows(typeArg);
+  if (!rows.length) {
+    await client.chat.postEphemeral({ channel, user, text: 'Nothing to export — the index is building or empty. Try /stock-refresh.' });
+    return;
+  }
+
+  try {
+    await uploadExport({ client, channel, format, rows, name: typeArg ? `${typeArg}-all-cars` : 'catalog' });
+  } catch (e) {
+    console.error('❗Export upload failed:', e?.data?.error || e?.message || e);
+    await client.chat.postEphemeral({ channel, user, text: `❌ Upload failed (${e?.data?.error || 'see logs'}). Is the bot in this channel?` });
+  }
+});
+
+/* =========================
+   Slash: /stock-refresh (ASYNC)
+========================= */
+// response_url allows 5 messages per command: start + up to 3 progress updates + result
+const REFRESH_PROGRESS_EVERY_MS = 10 * 1000;
+const MAX_REFRESH_PROGRESS_UPDATES = 3;
+
+function refreshProgressText(store) {
+  const p = store.progress;
+  if (!p) return `${storeTag(store)}finishing up…`;
+  const secs = Math.round((Date.now() - p.startedAt.getTime()) / 1000);
+  return `${storeTag(store)}${p.phase}: ${p.pages} pages, ${p.variants} variants (${secs}s)`;
+}
+
+app.command('/stock-refresh', async ({ ack, body, client, respond, logger }) => {
+  // 1) immediate ACK so Slack never times out
+  await ack();
+
+  const all = [...stores.values()];
+  const joined = all.some(st => st.inFlight);
+
+  // 2) tell the requester we started (or joined the one already running)
+  try {
+    await respond({ response_type: 'ephemeral', text: joined ? '🔄 A refresh is already running; you’ll get its result here.' : '🔄 Refreshing inventory index…' });
+  } catch (e) {
+    logger?.warn?.('Could not post ephemeral pre-refresh notice', e);
+  }
+
+  // 3) run refresh in the background (no blocking), updating the notice as it goes
+  setTimeout(async () => {
+    let updates = 0;
+    const timer = setInterval(() => {
+      if (++updates > MAX_REFRESH_PROGRESS_UPDATES) return clearInterval(timer);
+      const running = all.filter(st => st.progress).map(refreshProgressText);
+      if (running.length) respond({ replace_original: true, text: `🔄 Refreshing inventory index… ${running.join(' • ')}` }).catch(() => {});
+    }, REFRESH_PROGRESS_EVERY_MS);
+
+    try {
+      const results = await Promise.allSettled(all.map(store => refreshSkuIndex({ reason: '/stock-refresh', store })));
+      const lines = results.map((r, i) => {
+        const { state } = all[i];
+        if (r.status === 'rejected') {
+          logger?.error?.('refreshSkuIndex failed', r.reason);
+          return `❌ ${storeTag(all[i])}Refresh failed: ${r.reason?.message || r.reason}. Still serving the previous index.`;
+        }
+        return `✅ ${storeTag(all[i])}Inventory index refreshed: ${state.lastVariantCount} variants in ${(state.lastDurationMs / 1000).toFixed(1)}s.`;
+      });
+      const text = lines.join('\n');
+      try {
+        await respond({ replace_original: true, text });
+      } catch (e) {
+        // response_url expires after 30 minutes; a slow bulk run plus the paged fallback can outlast it
+        logger?.warn?.('Could not update the refresh notice; posting a new ephemeral', e);
+        await client.chat.postEphemeral({ channel: body.channel_id, user: body.user_id, text })
+          .catch(err => console.error('❗Could not report /stock-refresh result:', err?.data?.error || err?.message || err));
+      }
+    } finally {
+      clearInterval(timer);
+    }
+  }, 0);
+});
+
+/* =========================
+   Slash: /stock-status
+========================= */
+function buildStoreStatusLines(store) {
+  const r = store.state;
+  const idx = store.index;
+  const fmt = (d) => (d ? slackDate(new Date(d).toISOString()) : '—');
+  const totalCars = [...idx.carsByType.values()].reduce((a, s) => a + s.size, 0);
+  const lastEnd = r.lastAttemptAt && r.lastDurationMs != null ? new Date(r.lastAttemptAt.getTime() + r.lastDurationMs) : null;
+
+  const lines = [
+    multiStore ? `*${store.label}* (\`${store.domain}\`)` : '*Inventory index status*',
+    store.progress ? `• *Now:* ${refreshProgressText(store).slice(storeTag(store).length)}` : '• *Now:* idle',
+    `• *Last attempt:* ${fmt(r.lastAttemptAt)} → ${fmt(lastEnd)}${r.lastDurationMs != null ? ` (${(r.lastDurationMs / 1000).toFixed(1)}s)` : ''}${r.lastError ? ' ❌ failed' : ''}`,
+    `• *Index built:* ${fmt(r.lastSuccessAt)}`,
+    `• *Last good run:* ${r.lastPages ?? '—'} pages, ${r.lastVariantCount ?? '—'} variants scanned, ${r.lastParseFailures ?? '—'} parse failures`,
+    `• *Shopify cost:* ${describeCost(r.lastCost)}`,
+    `• *Index:* ${idx.types.size} types, ${totalCars} cars, ${idx.locations.size} locations`,
+    `• *Next scheduled run:* ${fmt(r.nextScheduledAt)}`,
+  ];
+  if (r.recentErrors?.length) {
+    lines.push('_Recent errors_', ...r.recentErrors.map(e => `• ${fmt(e.at)} — ${String(e.message).slice(0, 200)}`));
+  }
+  return lines;
+}
+
+function buildStatusText() {
+  const sections = [...stores.values()].map(store => buildStoreStatusLines(store).join('\n'));
+  return multiStore ? ['*Inventory index status*', ...sections].join('\n\n') : sections[0];
+}
+
+app.command('/stock-status', async ({ ack, body, client }) => {
+  await ack();
+  await client.chat.postEphemeral({ channel: body.channel_id, user: body.user_id, text: buildStatusText() });
+});
+
+/* =========================
+   App Home dashboard
+   Published when a user opens the Home tab, and again for everyone who has
+   opened it after each primary-store refresh. Viewers are kept in data/ so
+   the refreshes keep reaching them after a restart.
+========================= */
+let homeViewers = new Set(); // user ids that have opened the Home tab
+const HOME_CHANGE_LINES = 15;
+const MAX_HOME_TYPES = 60;
+
+async function loadHomeViewers() {
+  try {
+    homeViewers = new Set((await readJsonIfExists(HOME_VIEWERS_FILE))?.users || []);
+  } catch (e) {
+    console.error('❗Could not load App Home viewers:', e?.message || e);
+  }
+}
+
+async function saveHomeViewers() {
+  try {
+    await writeJsonAtomic(HOME_VIEWERS_FILE, { users: [...homeViewers] });
+  } catch (e) {
+    console.error('❗Could not save App Home viewers:', e?.message || e);
+  }
+}
+
+// type -> { inStock, oos } distinct SKUs (a SKU counts as in stock if any variant is)
+function typeStockCounts(idx) {
+  const inStock = new Map();
+  const oos = new Map();
+  const add = (map, key, entries) => {
+    const type = key.split('::')[0];
+    if (!map.has(type)) map.set(type, new Set());
+    for (const e of entries) map.get(type).add(e.sku);
+  };
+  for (const [key, entries] of idx.inStockByTypeCar) add(inStock, key, entries);
+  for (const [key, entries] of idx.outOfStockByTypeCar) add(oos, key, entries);
+
+  const counts = new Map();
+  for (const type of orderTypes(idx.types)) {
+    const inSet = inStock.get(type) || new Set();
+    const oosOnly = [...(oos.get(type) || [])].filter(sku => !inSet.has(sku));
+    counts.set(type, { inStock: inSet.size, oos: oosOnly.length });
+  }
+  return counts;
+}
+
+function changeLines(list, fmt) {
+  if (!list?.length) return '_None_';
+  const shown = list.slice(0, HOME_CHANGE_LINES).map(fmt);
+  if (list.length > shown.length) shown.push(`_…and ${list.length - shown.length} more_`);
+  return shown.join('\n');
+}
+
+function buildHomeView() {
+  const state = primaryStore.state;
+  const when = state.lastSuccessAt ? slackDate(state.lastSuccessAt.toISOString()) : 'never';
+  const status = [
+    `*Last refresh:* ${when}`,
+    primaryStore.inFlight ? '🔄 refreshing now' : null,
+    state.lastError ? `⚠️ last attempt failed: ${String(state.lastError).slice(0, 150)}` : null,
+    multiStore ? `*Store:* ${primaryStore.label}` : null,
+  ].filter(Boolean).join(' • ');
+
+  const blocks = [
+    { type: 'header', text: { type: 'plain_text', text: '📦 Inventory dashboard', emoji: true } },
+    { type: 'context', elements: [{ type: 'mrkdwn', text: status }] },
+    { type: 'divider' },
+  ];
+
+  const counts = [...typeStockCounts(skuIndex)];
+  if (!counts.length) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: '_The index is empty or still building. Try /stock-refresh._' } });
+  }
+  for (const [type, c] of counts.slice(0, MAX_HOME_TYPES)) {
+    blocks.push({
+      type: 'section',
+      text: { type: 'mrkdwn', text: `*${displayType(type)}*\n✅ ${c.inStock} in stock • ❌ ${c.oos} out of stock` },
+      accessory: {
+        type: 'button',
+        action_id: 'home_open_picker',
+        text: { type: 'plain_text', text: 'Open picker', emoji: true },
+        value: type,
+      },
+    });
+  }
+  if (counts.length > MAX_HOME_TYPES) {
+    blocks.push({ type: 'context', elements: [{ type: 'mrkdwn', text: `…and ${counts.length - MAX_HOME_TYPES} more types. Use /stock to browse them.` }] });
+  }
+
+  const changes = state.lastChanges;
+  const since = changes ? ` (${slackDate(changes.at)})` : '';
+  blocks.push(
+    { type: 'divider' },
+    { type: 'section', text: { type: 'mrkdwn', text: `*Stockouts since the previous refresh*${since}\n${changeLines(changes?.stockouts, c => `• ${c.sku} _(had ${c.from})_`)}` } },
+    { type: 'section', text: { type: 'mrkdwn', text: `*Restocks since the previous refresh*${since}\n${changeLines(changes?.restocks, c => `• ${c.sku} — ${c.to}`)}` } },
+  );
+
+  return { type: 'home', blocks };
+}
+
+async function publishHome(client, userId) {
+  await client.views.publish({ user_id: userId, view: buildHomeView() });
+}
+
+async function publishHomeTabs() {
+  let dropped = false;
+  for (const userId of [...homeViewers]) {
+    try {
+      await publishHome(app.client, userId);
+    } catch (e) {
+      console.error(`❗App Home publish for ${userId} failed:`, e?.data?.error || e?.message || e);
+      // Deactivated or removed users never come back; stop publishing to them
+      if (['user_not_found', 'account_inactive'].includes(e?.data?.error)) dropped = homeViewers.delete(userId) || dropped;
+    }
+  }
+  if (dropped) await saveHomeViewers();
+}
+
+app.event('app_home_opened', async ({ event, client }) => {
+  if (event.tab && event.tab !== 'home') return;
+  if (!homeViewers.has(event.user)) {
+    homeViewers.add(event.user);
+    await saveHomeViewers();
+  }
+  await publishHome(client, event.user);
+});
+
+// "Open picker" on a type row: the picker with that type already chosen; results go to the user's DM
+app.action('home_open_picker', async ({ ack, body, client }) => {
+  await ack();
+  const typeOptions = optionsFromTypesWithPriority(allStoreTypes());
+  const typeInitial = typeOptions.find(o => o.value === body.actions?.[0]?.value);
+  // Exports need a conversation id (files.uploadV2 rejects user ids), so open the DM first
+  let channel = body.user.id;
+  try {
+    channel = (await client.conversations.open({ users: body.user.id })).channel?.id || channel;
+  } catch (e) {
+    console.error('❗Could not open a DM for App Home results:', e?.data?.error || e?.message || e);
+  }
+  await client.views.open({
+    trigger_id: body.trigger_id,
+    view: buildPickerView({
+      typeOptions,
+      typeInitial,
+      privateMetadata: JSON.stringify({ channel }),
+      prefs: lastChoices(body.user.id),
+    }),
+  });
+});
+
+/* =========================
+   Slash: /stock-history <sku>
+========================= */
+const SPARK_CHARS = '▁▂▃▄▅▆▇█';
+
+function sparkline(values) {
+  if (!values.length) return '';
+  const min = Math.min(...values);
+  const max = Math.max(...values);
+  const span = max - min || 1;
+  return values.map(v => SPARK_CHARS[Math.round(((v - min) / span) * (SPARK_CHARS.length - 1))]).join('');
+}
+
+const slackDate = (iso, fmt = '{date_short} {time}') =>
+  `<!date^${Math.floor(Date.parse(iso) / 1000)}^${fmt}|${iso.slice(0, 16).replace('T', ' ')} UTC>`;
+
+function buildHistoryBlocks(sku, events) {
+  const current = availableBySku(skuIndex).get(sku);
+  const blocks = [{
+    type: 'section',
+    text: { type: 'mrkdwn', text: `*Stock history* — *${sku}* • now: *${current ?? 'not in index'}*` },
+  }];
+
+  if (!events.length) {
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `_No quantity changes recorded in the last ${HISTORY_RETENTION_DAYS} days._` } });
+    return withStalenessBanner(blocks);
+  }
+
+  // Levels over time: the first "from", then every "to" (missing from the index counts as 0)
+  const levels = [events[0].from ?? 0, ...events.map(e => e.to ?? 0)].slice(-60);
+  blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `\`${sparkline(levels)}\`  (min ${Math.min(...levels)}, max ${Math.max(...levels)})` } });
+
+  const outs = events.filter(e => (e.from ?? 0) > 0 && (e.to ?? 0) <= 0).slice(-5);
+  const restocks = events.filter(e => (e.from ?? 0) <= 0 && (e.to ?? 0) > 0).slice(-5);
+  const fields = [
+    { type: 'mrkdwn', text: `*Went out of stock*\n${outs.map(e => slackDate(e.t, '{date_short}')).join('\n') || '—'}` },
+    { type: 'mrkdwn', text: `*Restocked*\n${restocks.map(e => `${slackDate(e.t, '{date_short}')} (+${e.to})`).join('\n') || '—'}` },
+  ];
+  blocks.push({ type: 'section', fields });
+
+  const recent = events.slice(-15).reverse().map(e => `• ${slackDate(e.t)} — ${e.from ?? '∅'} → ${e.to ?? '∅'}`);
+  blocks.push({ type: 'section', text: { type: 'mrkdwn', text: `*Recent changes*\n${recent.join('\n')}` } });
+  return withStalenessBanner(blocks);
+}
+
+app.command('/stock-history', async ({ ack, body, client }) => {
+  await ack();
+
+  const sku = String(body.text || '').trim().toUpperCase();
+  if (!sku) {
+    await client.chat.postEphemeral({ channel: body.channel_id, user: body.user_id, text: 'Usage: `/stock-history <SKU>`' });
+    return;
+  }
+
+  const events = historyBySku.get(sku) || [];
+  await client.chat.postMessage({
+    channel: body.channel_id,
+    text: `Stock history for ${sku}`,
+    blocks: buildHistoryBlocks(sku, events),
+  });
+});
+
+/* =========================
+   Slash: /stock-alerts (manage low-stock thresholds)
+========================= */
+function buildAlertsView() {
+  const ruleBlocks = alertConfig.rules.length
+    ? alertConfig.rules.slice(0, 80).map(r => ({ // modals cap at 100 blocks
+        type: 'section',
+        block_id: `alert_rule_${r.id}`,
+        text: { type: 'mrkdwn', text: describeAlertRule(r) },
+        accessory: {
+          type: 'button',
+          action_id: 'alerts_remove_rule',
+          text: { type: 'plain_text', text: 'Remove' },
+          style: 'danger',
+          value: r.id,
+        },
+      }))
+    : [{ type: 'section', text: { type: 'mrkdwn', text: '_No thresholds yet._' } }];
+
+  const typeOptions = optionsFromTypesWithPriority(skuIndex.types).slice(0, 100);
+
+  return {
+    type: 'modal',
+    callback_id: 'stock_alerts_submit',
+    title: { type: 'plain_text', text: 'Low-stock Alerts' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Close' },
+    blocks: [
+      {
+        type: 'input',
+        block_id: 'alert_channel_block',
+        label: { type: 'plain_text', text: 'Post alerts to' },
+        element: {
+          type: 'conversations_select',
+          action_id: 'alert_channel',
+          filter: { include: ['public', 'private'], exclude_bot_users: true },
+          ...(alertConfig.channel ? { initial_conversation: alertConfig.channel } : {}),
+        },
+      },
+      { type: 'header', text: { type: 'plain_text', text: 'Current thresholds' } },
+      ...ruleBlocks,
+      { type: 'divider' },
+      { type: 'header', text: { type: 'plain_text', text: 'Add a threshold' } },
+      {
+        type: 'context',
+        elements: [{ type: 'mrkdwn', text: 'Fill a SKU, or a Type (optionally with a Car). Most specific rule wins.' }],
+      },
+      {
+        type: 'input',
+        block_id: 'alert_type_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Type' },
+        element: typeOptions.length
+          ? { type: 'static_select', action_id: 'alert_type', options: typeOptions }
+          : { type: 'plain_text_input', action_id: 'alert_type' },
+      },
+      {
+        type: 'input',
+        block_id: 'alert_car_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Car (with a Type)' },
+        element: { type: 'plain_text_input', action_id: 'alert_car', placeholder: { type: 'plain_text', text: 'e.g., M3' } },
+      },
+      {
+        type: 'input',
+        block_id: 'alert_sku_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'SKU' },
+        element: { type: 'plain_text_input', action_id: 'alert_sku', placeholder: { type: 'plain_text', text: 'e.g., C-M3-STEERINGWHEEL-CF' } },
+      },
+      {
+        type: 'input',
+        block_id: 'alert_threshold_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Alert at or below' },
+        element: { type: 'number_input', action_id: 'alert_threshold', is_decimal_allowed: false, min_value: '0' },
+      },
+    ],
+  };
+}
+
+app.command('/stock-alerts', async ({ ack, body, client }) => {
+  await ack();
+  await client.views.open({ trigger_id: body.trigger_id, view: buildAlertsView() });
+});
+
+app.action('alerts_remove_rule', async ({ ack, body, client }) => {
+  await ack();
+  const id = body.actions?.[0]?.value;
+  alertConfig.rules = alertConfig.rules.filter(r => r.id !== id);
+  try {
+    await saveAlertConfig();
+  } catch (e) {
+    console.error('❗Could not save alert config:', e?.message || e);
+  }
+  await client.views.update({ view_id: body.view.id, view: buildAlertsView() });
+});
+
+app.view('stock_alerts_submit', async ({ ack, view }) => {
+  const v = view.state.values;
+  const channel = v?.alert_channel_block?.alert_channel?.selected_conversation;
+  const type = (v?.alert_type_block?.alert_type?.selected_option?.value || v?.alert_type_block?.alert_type?.value || '').trim().toUpperCase();
+  const car = (v?.alert_car_block?.alert_car?.value || '').trim().toUpperCase();
+  const sku = (v?.alert_sku_block?.alert_sku?.value || '').trim().toUpperCase();
+  const rawThreshold = v?.alert_threshold_block?.alert_threshold?.value;
+
+  const errors = {};
+  const wantsRule = Boolean(type || car || sku);
+  if (wantsRule && (rawThreshold == null || rawThreshold === '')) errors['alert_threshold_block'] = 'Enter a threshold for the new rule.';
+  if (car && !type && !sku) errors['alert_type_block'] = 'A Car threshold also needs a Type.';
+  if (!wantsRule && rawThreshold) errors['alert_sku_block'] = 'Pick a SKU or Type for this threshold.';
+  if (Object.keys(errors).length) {
+    await ack({ response_action: 'errors', errors });
+    return;
+  }
+  await ack();
+
+  alertConfig.channel = channel || alertConfig.channel;
+  if (wantsRule) {
+    const threshold = Number(rawThreshold);
+    const rule = sku
+      ? { scope: 'sku', sku, threshold }
+      : car ? { scope: 'typecar', type, car, threshold } : { scope: 'type', type, threshold };
+    // Replace an existing rule for the same target instead of stacking duplicates
+    const sameTarget = (r) => r.scope === rule.scope && r.sku === rule.sku && r.type === rule.type && r.car === rule.car;
+    alertConfig.rules = [...alertConfig.rules.filter(r => !sameTarget(r)), { id: crypto.randomUUID(), ...rule }];
+  }
+  try {
+    await saveAlertConfig();
+  } catch (e) {
+    console.error('❗Could not save alert config:', e?.message || e);
+  }
+});
+
+/* =========================
+   Back-in-stock: "Notify me" controls + /stock-watch <sku>
+========================= */
+// Subscribe user to sku; returns the reply to show them
+async function watchSku(sku, user) {
+  const found = entriesBySku(skuIndex).get(sku);
+  if (!found) return `I can't find *${sku}* in the index. Check the SKU (or try again after /stock-refresh).`;
+  if (found.entry.available > 0) return `*${sku}* is already in stock (${found.entry.available} available).`;
+  await addWatch(sku, user);
+  return `🔔 I'll DM you when *${sku}* is back in stock.`;
+}
+
+async function onWatchAction({ ack, body, client }) {
+  await ack();
+  const action = body.actions?.[0];
+  const sku = String(action?.value || action?.selected_option?.value || '').toUpperCase();
+  if (!sku) return;
+  const text = await watchSku(sku, body.user.id);
+  await client.chat.postEphemeral({ channel: body.channel?.id, user: body.user.id, text });
+}
+
+app.action('watch_sku', onWatchAction);
+app.action('watch_sku_select', onWatchAction);
+
+app.command('/stock-watch', async ({ ack, body, client }) => {
+  await ack();
+
+  const channel = body.channel_id;
+  const user = body.user_id;
+  const [first = '', second = ''] = String(body.text || '').trim().split(/\s+/);
+  let text;
+
+  if (!first) {
+    const mine = [...watches].filter(([, users]) => users.has(user)).map(([sku]) => `• ${sku}`);
+    text = mine.length
+      ? `*Your back-in-stock watches*\n${mine.join('\n')}\n_Stop one with_ \`/stock-watch stop <SKU>\``
+      : 'You have no watches. Usage: `/stock-watch <SKU>`';
+  } else if (first.toLowerCase() === 'stop' && second) {
+    const sku = second.toUpperCase();
+    text = (await removeWatch(sku, user)) ? `Stopped watching *${sku}*.` : `You weren't watching *${sku}*.`;
+  } else {
+    text = await watchSku(first.toUpperCase(), user);
+  }
+
+  await client.chat.postEphemeral({ channel, user, text });
+});
+
+/* =========================
+   Inventory adjustments: "✏️ Adjust" controls + /stock-adjust <sku>
+   Adjustments travel as JSON in block values (requester -> approver -> Shopify),
+   so a pending approval survives restarts. Every step lands in data/audit.jsonl.
+========================= */
+const ADJUST_REASONS = [
+  ['correction', 'Correction'],
+  ['cycle_count_available', 'Cycle count'],
+  ['damaged', 'Damaged'],
+  ['received', 'Received'],
+  ['restock', 'Restock'],
+  ['shrinkage', 'Shrinkage'],
+  ['other', 'Other'],
+];
+
+const INVENTORY_ADJUST_GQL = `
+  mutation Adjust($input: InventoryAdjustQuantitiesInput!) {
+    inventoryAdjustQuantities(input: $input) {
+      inventoryAdjustmentGroup { changes { name delta quantityAfterChange location { id } } }
+      userErrors { field message }
+    }
+  }
+`;
+
+const INVENTORY_SET_GQL = `
+  mutation SetQty($input: InventorySetQuantitiesInput!) {
+    inventorySetQuantities(input: $input) {
+      inventoryAdjustmentGroup { changes { name delta quantityAfterChange location { id } } }
+      userErrors { field message }
+    }
+  }
+`;
+
+// Adjustments already approved/rejected (guards against two approvers clicking at once)
+const decidedAdjustments = new Set();
+
+async function appendAudit(event, adj, extra = {}) {
+  const line = { at: new Date().toISOString(), event, ...adj, ...extra };
+  try {
+    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.appendFile(AUDIT_FILE, JSON.stringify(line) + '\n');
+  } catch (e) {
+    console.error('❗Could not write audit log:', e?.message || e);
+  }
+}
+
+const needsApproval = (user) => ADJUST_APPROVER_IDS.length > 0 && !ADJUST_APPROVER_IDS.includes(user);
+
+function describeAdjustment(adj) {
+  const change = adj.mode === 'set' ? `set to *${adj.quantity}*` : `*${adj.quantity > 0 ? '+' : ''}${adj.quantity}*`;
+  const reason = ADJUST_REASONS.find(([v]) => v === adj.reason)?.[1] || adj.reason;
+  return `*${adj.sku}* at *${adj.locationName}*: ${change} (${reason})${adj.note ? ` — _${adj.note}_` : ''}`;
+}
+
+function buildAdjustView({ sku, entry, channel, user }) {
+  const locationIds = [...new Set([...skuIndex.locations.keys(), ...Object.keys(entry.byLocation || {})])];
+  const options = locationIds.slice(0, 100).map(id => ({
+    text: { type: 'plain_text', text: `${skuIndex.locations.get(id) || id} (${entry.byLocation?.[id] ?? 0})`.slice(0, 75) },
+    value: id,
+  }));
+  // Start on the location holding the most stock
+  const busiest = Object.entries(entry.byLocation || {}).sort((a, b) => b[1] - a[1])[0]?.[0];
+  const initialLocation = options.find(o => o.value === busiest) || options[0];
+  const modes = [
+    { text: { type: 'plain_text', text: 'Adjust by (+/−)' }, value: 'delta' },
+    { text: { type: 'plain_text', text: 'Set to' }, value: 'set' },
+  ];
+  const reasons = ADJUST_REASONS.map(([value, label]) => ({ text: { type: 'plain_text', text: label }, value }));
+
+  return {
+    type: 'modal',
+    callback_id: 'stock_adjust_submit',
+    private_metadata: JSON.stringify({ sku, channel }),
+    title: { type: 'plain_text', text: 'Adjust inventory' },
+    submit: { type: 'plain_text', text: needsApproval(user) ? 'Send for approval' : 'Adjust' },
+    close: { type: 'plain_text', text: 'Cancel' },
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: `*${sku}* — ${entry.available} available in total${entry.title ? `\n${entry.title}` : ''}` } },
+      {
+        type: 'input',
+        block_id: 'adjust_location_block',
+        label: { type: 'plain_text', text: 'Location' },
+        element: { type: 'static_select', action_id: 'adjust_location', options, ...(initialLocation ? { initial_option: initialLocation } : {}) },
+      },
+      {
+        type: 'input',
+        block_id: 'adjust_mode_block',
+        label: { type: 'plain_text', text: 'Change' },
+        element: { type: 'radio_buttons', action_id: 'adjust_mode', options: modes, initial_option: modes[0] },
+      },
+      {
+        type: 'input',
+        block_id: 'adjust_qty_block',
+        label: { type: 'plain_text', text: 'Quantity' },
+        hint: { type: 'plain_text', text: 'For "Adjust by", use a negative number to remove stock (e.g. -2).' },
+        element: { type: 'plain_text_input', action_id: 'adjust_qty', placeholder: { type: 'plain_text', text: 'e.g. -2 or 5' } },
+      },
+      {
+        type: 'input',
+        block_id: 'adjust_reason_block',
+        label: { type: 'plain_text', text: 'Reason' },
+        element: { type: 'static_select', action_id: 'adjust_reason', options: reasons, initial_option: reasons[0] },
+      },
+      {
+        type: 'input',
+        block_id: 'adjust_note_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Note' },
+        element: { type: 'plain_text_input', action_id: 'adjust_note', max_length: 200 },
+      },
+    ],
+  };
+}
+
+// Open the modal for sku, or return a reason why not
+async function openAdjustModal({ client, triggerId, sku, channel, user }) {
+  const found = entriesBySku(skuIndex).get(sku);
+  if (!found) return `I can't find *${sku}* in the index. Check the SKU (or try again after /stock-refresh).`;
+  if (!found.entry.inventoryItemId) return `*${sku}* has no inventory item id yet; try again after /stock-refresh.`;
+  if (!skuIndex.locations.size && !Object.keys(found.entry.byLocation || {}).length) {
+    return 'No locations are known yet; try again after /stock-refresh.';
+  }
+  await client.views.open({ trigger_id: triggerId, view: buildAdjustView({ sku, entry: found.entry, channel, user }) });
+  return null;
+}
+
+// Send the change to Shopify, then patch skuIndex so results reflect it right away
+async function applyAdjustment(adj) {
+  const input = adj.mode === 'set'
+    ? {
+      name: 'available',
+      reason: adj.reason,
+      ignoreCompareQuantity: true,
+      quantities: [{ inventoryItemId: adj.inventoryItemId, locationId: adj.locationId, quantity: adj.quantity }],
+    }
+    : {
+      name: 'available',
+      reason: adj.reason,
+      changes: [{ inventoryItemId: adj.inventoryItemId, locationId: adj.locationId, delta: adj.quantity }],
+    };
+  const json = await shopifyGQL(adj.mode === 'set' ? INVENTORY_SET_GQL : INVENTORY_ADJUST_GQL, { input }, primaryStore, { retry: false });
+  const result = json?.data?.[adj.mode === 'set' ? 'inventorySetQuantities' : 'inventoryAdjustQuantities'];
+  if (result?.userErrors?.length) throw new Error(result.userErrors.map(e => e.message).join('; '));
+
+  const change = result?.inventoryAdjustmentGroup?.changes?.find(c => c.name === 'available' && c.location?.id === adj.locationId);
+  const current = entriesBySku(skuIndex).get(adj.sku)?.entry.byLocation?.[adj.locationId] ?? 0;
+  const after = change?.quantityAfterChange ?? (adj.mode === 'set' ? adj.quantity : current + adj.quantity);
+
+  const before = availableBySku(skuIndex);
+  await patchStoreIndex(primaryStore, async (idx) =>
+    setIndexLevel(adj.inventoryItemId, adj.locationId, after, idx) || indexInventoryItem(primaryStore, adj.inventoryItemId, idx));
+  await handleInventoryChanges(diffAvailability(before, availableBySku(skuIndex)));
+  return after;
+}
+
+// Apply + audit + tell the requester; returns the line to show whoever triggered it
+async function runAdjustment(adj, approvedBy = null) {
+  try {
+    const after = await applyAdjustment(adj);
+    await appendAudit('applied', adj, { approvedBy, quantityAfter: after });
+    return `✅ ${describeAdjustment(adj)} → now *${after}* there.`;
+  } catch (e) {
+    if (e?.outcomeUnknown) {
+      console.error('⚠️ Inventory adjustment outcome unknown:', e.message);
+      await appendAudit('unknown', adj, { approvedBy, error: e.message });
+      return `⚠️ Outcome unknown for ${describeAdjustment(adj)} (${e.message}). Check the quantity in Shopify before retrying.`;
+    }
+    console.error('❗Inventory adjustment failed:', e?.message || e);
+    await appendAudit('failed', adj, { approvedBy, error: e?.message || String(e) });
+    return `❌ Adjustment failed for ${describeAdjustment(adj)}: ${e?.message || e}`;
+  }
+}
+
+function buildApprovalBlocks(adj) {
+  const value = JSON.stringify(adj);
+  return [
+    { type: 'section', text: { type: 'mrkdwn', text: `✏️ <@${adj.requestedBy}> wants to adjust inventory:\n${describeAdjustment(adj)}` } },
+    {
+      type: 'actions',
+      elements: [
+        { type: 'button', action_id: 'adjust_approve', style: 'primary', text: { type: 'plain_text', text: 'Approve' }, value },
+        { type: 'button', action_id: 'adjust_reject', style: 'danger', text: { type: 'plain_text', text: 'Reject' }, value },
+      ],
+    },
+  ];
+}
+
+async function onAdjustAction({ ack, body, client }) {
+  await ack();
+  const action = body.actions?.[0];
+  const sku = String(action?.value || action?.selected_option?.value || '').toUpperCase();
+  if (!sku) return;
+  const problem = await openAdjustModal({ client, triggerId: body.trigger_id, sku, channel: body.channel?.id, user: body.user.id });
+  if (problem) await client.chat.postEphemeral({ channel: body.channel?.id, user: body.user.id, text: problem });
+}
+
+app.action('adjust_sku', onAdjustAction);
+app.action('adjust_sku_select', onAdjustAction);
+
+app.command('/stock-adjust', async ({ ack, body, client }) => {
+  await ack();
+  const sku = String(body.text || '').trim().split(/\s+/)[0].toUpperCase();
+  const problem = sku
+    ? await openAdjustModal({ client, triggerId: body.trigger_id, sku, channel: body.channel_id, user: body.user_id })
+    : 'Usage: `/stock-adjust <SKU>`';
+  if (problem) await client.chat.postEphemeral({ channel: body.channel_id, user: body.user_id, text: problem });
+});
+
+app.view('stock_adjust_submit', async ({ ack, body, view, client }) => {
+  const v = view.state.values;
+  const mode = v?.adjust_mode_block?.adjust_mode?.selected_option?.value || 'delta';
+  const rawQty = String(v?.adjust_qty_block?.adjust_qty?.value || '').trim();
+  const quantity = Number(rawQty);
+
+  if (!/^[+-]?\d+$/.test(rawQty) || (mode === 'set' ? quantity < 0 : quantity === 0)) {
+    const error = mode === 'set' ? 'Enter a whole number of 0 or more.' : 'Enter a non-zero whole number, e.g. -2 or 5.';
+    await ack({ response_action: 'errors', errors: { adjust_qty_block: error } });
+    return;
+  }
+  await ack();
+
+  const md = JSON.parse(view.private_metadata || '{}');
+  const user = body.user.id;
+  const found = entriesBySku(skuIndex).get(md.sku);
+  const locationId = v?.adjust_location_block?.adjust_location?.selected_option?.value;
+  const notify = (text) => md.channel
+    ? client.chat.postEphemeral({ channel: md.channel, user, text })
+    : client.chat.postMessage({ channel: user, text });
+
+  if (!found) {
+    await notify(`*${md.sku}* is no longer in the index; nothing was changed.`);
+    return;
+  }
+
+  const adj = {
+    id: crypto.randomUUID(),
+    sku: md.sku,
+    inventoryItemId: found.entry.inventoryItemId,
+    locationId,
+    locationName: skuIndex.locations.get(locationId) || locationId,
+    mode,
+    quantity,
+    reason: v?.adjust_reason_block?.adjust_reason?.selected_option?.value || 'correction',
+    note: String(v?.adjust_note_block?.adjust_note?.value || '').trim(),
+    requestedBy: user,
+    channel: md.channel || null,
+  };
+
+  if (!needsApproval(user)) {
+    await appendAudit('requested', adj);
+    await notify(await runAdjustment(adj));
+    return;
+  }
+
+  await appendAudit('requested', adj, { pendingApproval: true });
+  const approvalChannel = ADJUST_APPROVAL_CHANNEL || md.channel || user;
+  await client.chat.postMessage({
+    channel: approvalChannel,
+    text: `Adjustment request from ${user}: ${adj.sku}`,
+    blocks: buildApprovalBlocks(adj),
+  });
+  await notify(`⏳ Sent for approval: ${describeAdjustment(adj)}`);
+});
+
+async function onAdjustDecision({ ack, body, client }) {
+  await ack();
+  const action = body.actions?.[0];
+  const adj = JSON.parse(action?.value || '{}');
+  const user = body.user.id;
+  const approve = action?.action_id === 'adjust_approve';
+
+  if (!ADJUST_APPROVER_IDS.includes(user)) {
+    await client.chat.postEphemeral({ channel: body.channel?.id, user, text: '⛔ Only approvers can approve or reject adjustments.' });
+    return;
+  }
+  if (decidedAdjustments.has(adj.id)) return;
+  decidedAdjustments.add(adj.id);
+
+  let outcome;
+  if (approve) {
+    outcome = await runAdjustment(adj, user);
+  } else {
+    await appendAudit('rejected', adj, { rejectedBy: user });
+    outcome = `🚫 Rejected by <@${user}>: ${describeAdjustment(adj)}`;
+  }
+
+  const decided = `${approve ? `Approved by <@${user}>` : 'Rejected'} — requested by <@${adj.requestedBy}>`;
+  await client.chat.update({
+    channel: body.channel?.id,
+    ts: body.message?.ts,
+    text: outcome,
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: outcome } },
+      { type: 'context', elements: [{ type: 'mrkdwn', text: decided }] },
+    ],
+  });
+  if (adj.requestedBy !== user) await client.chat.postMessage({ channel: adj.requestedBy, text: outcome });
+}
+
+app.action('adjust_approve', onAdjustDecision);
+app.action('adjust_reject', onAdjustDecision);
+
+/* =========================
+   SKU auto-replies: /stock-autoreply on|off + message listener
+   In opted-in channels, SKU-shaped tokens (anything parseSku accepts) get a
+   threaded reply with stock, or the closest matches when unknown.
+========================= */
+let autoReplyChannels = new Set();
+const MAX_SKUS_PER_REPLY = 5;
+const CLOSEST_MATCHES = 3;
+const recentAutoReplies = new Map(); // `${channel}:${thread}:${sku}` -> ms; de-dupes within a thread
+const channelReplyTimes = new Map(); // channel -> [ms] of replies in the last minute
+
+async function loadAutoReplyChannels() {
+  try {
+    const data = await readJsonIfExists(AUTOREPLY_FILE);
+    if (data) autoReplyChannels = new Set(data.channels || []);
+  } catch (e) {
+    console.error('❗Could not load auto-reply channels:', e?.message || e);
+  }
+}
+
+async function saveAutoReplyChannels() {
+  try {
+    await writeJsonAtomic(AUTOREPLY_FILE, { channels: [...autoReplyChannels] });
+  } catch (e) {
+    console.error('❗Could not save auto-reply channels:', e?.message || e);
+  }
+}
+
+// Distinct SKU-shaped tokens, in order. Link labels count, link targets and
+// mentions (<…>) don't; `code` and *bold* markers are just punctuation here.
+function findSkuTokens(text) {
+  const plain = String(text || '').replace(/<[^>|]*\|([^>]*)>/g, ' $1 ').replace(/<[^>]*>/g, ' ');
+  const tokens = plain.toUpperCase().match(/[A-Z0-9][A-Z0-9_.-]*[A-Z0-9]/g) || [];
+  return [...new Set(tokens)].filter(t => parseSku(t)).slice(0, MAX_SKUS_PER_REPLY);
+}
+
+function autoReplyLine(sku, bySku) {
+  const found = bySku.get(sku);
+  if (found) {
+    return found.entry.available > 0
+      ? `• *${sku}* — ✅ ${found.entry.available} in stock`
+      : `• *${sku}* — ❌ out of stock`;
+  }
+  // Unknown SKU: same search as /stock, then fall back to its type + car
+  let results = searchIndex(sku);
+  if (!results.length) {
+    const parsed = parseSku(sku);
+    results = searchIndex(`${parsed.type} ${canonicalCar(parsed.car)}`);
+  }
+  const closest = results.slice(0, CLOSEST_MATCHES).map(r => `${r.sku} (${r.entry.available})`);
+  return `• *${sku}* — not found${closest.length ? `; closest: ${closest.join(', ')}` : ''}`;
+}
+
+// Sliding one-minute window per channel
+function autoReplyAllowed(channel, now) {
+  const recent = (channelReplyTimes.get(channel) || []).filter(t => now - t < 60 * 1000);
+  channelReplyTimes.set(channel, recent);
+  if (recent.length >= AUTOREPLY_MAX_PER_MIN) return false;
+  recent.push(now);
+  return true;
+}
+
+function pruneRecentAutoReplies(now) {
+  for (const [key, at] of recentAutoReplies) {
+    if (now - at > AUTOREPLY_DEDUPE_MIN * 60 * 1000) recentAutoReplies.delete(key);
+  }
+}
+
+app.message(async ({ message, client }) => {
+  // Plain user messages only (no edits, joins, bots or our own replies)
+  if (message.subtype || message.bot_id || !autoReplyChannels.has(message.channel)) return;
+  const skus = findSkuTokens(message.text);
+  if (!skus.length) return;
+
+  const now = Date.now();
+  pruneRecentAutoReplies(now);
+  const thread = message.thread_ts || message.ts;
+  const fresh = skus.filter(sku => !recentAutoReplies.has(`${message.channel}:${thread}:${sku}`));
+  if (!fresh.length || !autoReplyAllowed(message.channel, now)) return;
+  for (const sku of fresh) recentAutoReplies.set(`${message.channel}:${thread}:${sku}`, now);
+
+  const bySku = entriesBySku(skuIndex);
+  const lines = fresh.map(sku => autoReplyLine(sku, bySku));
+  const banner = stalenessBlock();
+  await client.chat.postMessage({
+    channel: message.channel,
+    thread_ts: thread,
+    text: lines.join('\n'),
+    blocks: [
+      { type: 'section', text: { type: 'mrkdwn', text: lines.join('\n') } },
+      ...(banner ? [banner] : []),
+    ],
+  });
+});
+
+app.command('/stock-autoreply', async ({ ack, body, client }) => {
+  await ack();
+
+  const channel = body.channel_id;
+  const user = body.user_id;
+  const arg = String(body.text || '').trim().toLowerCase();
+  let text;
+
+  if (arg === 'on' || arg === 'off') {
+    if (!isAdmin(user)) {
+      await client.chat.postEphemeral({ channel, user, text: '⛔ Only admins can change auto-replies.' });
+      return;
+    }
+    if (arg === 'on') autoReplyChannels.add(channel); else autoReplyChannels.delete(channel);
+    await saveAutoReplyChannels();
+    text = arg === 'on'
+      ? '🤖 Auto-replies are *on* here: I’ll answer SKUs posted in this channel in a thread. (Invite me to the channel if I’m not in it.)'
+      : '🤖 Auto-replies are *off* here.';
+  } else {
+    text = `🤖 Auto-replies are *${autoReplyChannels.has(channel) ? 'on' : 'off'}* in this channel. Usage: \`/stock-autoreply on|off\``;
+  }
+
+  await client.chat.postEphemeral({ channel, user, text });
+});
+
+/* =========================
+   Scheduled reports: /stock-report (modal) + cron schedules
+   Reports: { id, name, channel, cron, kind, type, createdBy, lastRunAt, lastError }.
+   The scheduler ticks once a minute and posts every report whose cron matches
+   that minute; type lists go in a thread under a one-line summary.
+========================= */
+const REPORT_KINDS = {
+  oos_summary: 'Out-of-stock summary by type',
+  oos_type: 'Out-of-stock list for one type',
+  in_stock_type: 'In-stock list for one type',
+};
+const MAX_REPORTS_SHOWN = 40; // modals cap at 100 blocks
+const MAX_REPORT_CARS = 25;   // thread replies per type report
+const MAX_MISSED_MINUTES = 10; // a late tick catches up on at most this many minutes
+
+let reports = [];
+
+async function loadReports() {
+  try {
+    const saved = (await readJsonIfExists(REPORTS_FILE))?.reports || [];
+    reports = saved.filter(r => {
+      try {
+        r.schedule = parseCron(r.cron);
+        return true;
+      } catch (e) {
+        console.error(`❗Skipping report "${r.name}": ${e.message}`);
+        return false;
+      }
+    });
+    if (reports.length) console.log(`🗓️ Loaded ${reports.length} scheduled report${reports.length === 1 ? '' : 's'}.`);
+  } catch (e) {
+    console.error('❗Could not load reports:', e?.message || e);
+  }
+}
+
+async function saveReports() {
+  try {
+    await writeJsonAtomic(REPORTS_FILE, { reports: reports.map(({ schedule, ...r }) => r) });
+  } catch (e) {
+    console.error('❗Could not save reports:', e?.message || e);
+  }
+}
+
+// Five-field cron: minute hour day-of-month month day-of-week (0 or 7 = Sunday).
+// Each field takes *, n, a-b, lists (a,b) and steps (*/n, a-b/n). Throws with a readable message.
+const CRON_FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+function parseCron(expr) {
+  const parts = String(expr || '').trim().split(/\s+/);
+  if (parts.length !== 5) throw new Error('Expected 5 fields: minute hour day-of-month month day-of-week.');
+  const sets = parts.map((part, i) => {
+    const { name, min, max } = CRON_FIELDS[i];
+    const set = new Set();
+    for (const item of part.split(',')) {
+      const m = item.match(/^(?:(\*)|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/);
+      if (!m) throw new Error(`Bad ${name} field "${part}".`);
+      const lo = m[1] ? min : Number(m[2]);
+      const hi = m[1] ? max : m[3] != null ? Number(m[3]) : m[4] ? max : lo;
+      const step = m[4] ? Number(m[4]) : 1;
+      if (lo < min || hi > max || lo > hi || step < 1) throw new Error(`The ${name} must be within ${min}-${max} ("${item}").`);
+      for (let v = lo; v <= hi; v += step) set.add(v);
+    }
+    return set;
+  });
+  if (sets[4].has(7)) sets[4].add(0);
+  return { minute: sets[0], hour: sets[1], dom: sets[2], month: sets[3], dow: sets[4], anyDom: parts[2] === '*', anyDow: parts[4] === '*' };
+}
+
+// Like cron: with both day fields restricted, either one matching is enough
+function cronDayMatches(c, d) {
+  if (!c.month.has(d.getMonth() + 1)) return false;
+  const dom = c.dom.has(d.getDate());
+  const dow = c.dow.has(d.getDay());
+  if (c.anyDom) return dow;
+  if (c.anyDow) return dom;
+  return dom || dow;
+}
+
+const cronMatches = (c, d) => cronDayMatches(c, d) && c.hour.has(d.getHours()) && c.minute.has(d.getMinutes());
+
+// Next matching minute after `from` (skips whole days/hours), or null if none within ~5 years
+function nextCronRun(c, from = new Date()) {
+  const d = new Date(from);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  for (let i = 0; i < 50000; i++) {
+    if (!cronDayMatches(c, d)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+    } else if (!c.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+    } else if (!c.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
+
+function describeReport(r) {
+  const next = nextCronRun(r.schedule);
+  const bits = [
+    `*${r.name}* → <#${r.channel}>`,
+    `\`${r.cron}\` • ${REPORT_KINDS[r.kind]}${r.type ? `: ${displayType(r.type)}` : ''}`,
+    next ? `Next: ${slackDate(next.toISOString())}` : 'Never matches',
+  ];
+  if (r.lastError) bits.push(`⚠️ Last run failed: ${r.lastError}`);
+  return bits.join('\n');
+}
+
+// Summary message (+ thread messages for the type lists) from the primary store's index
+function buildReportMessages(r) {
+  const title = `🗓️ *${r.name}*`;
+
+  if (r.kind === 'oos_summary') {
+    const counts = [...typeStockCounts(skuIndex)].filter(([, c]) => c.oos > 0);
+    const total = counts.reduce((sum, [, c]) => sum + c.oos, 0);
+    const lines = counts.map(([type, c]) => `• *${displayType(type)}* — ${c.oos} out of stock (${c.inStock} in stock)`);
+    const blocks = [{ type: 'section', text: { type: 'mrkdwn', text: `${title} — *Out of stock by type* • ${total} SKU${total === 1 ? '' : 's'}` } }];
+    // keep each section under Slack's 3000-char mrkdwn limit
+    let current = [];
+    for (const line of lines) {
+      if (current.join('\n').length + line.length + 1 > 2900) {
+        blocks.push({ type: 'section', text: { type: 'mrkdwn', text: current.join('\n') } });
+        current = [];
+      }
+      current.push(line);
+    }
+    blocks.push({ type: 'section', text: { type: 'mrkdwn', text: current.join('\n') || '_Nothing is out of stock_ 🎉' } });
+    return { summary: { text: `${r.name}: ${total} SKU${total === 1 ? '' : 's'} out of stock`, blocks: withStalenessBanner(blocks.slice(0, 49)) }, thread: [] };
+  }
+
+  const oos = r.kind === 'oos_type';
+  const byTypeCar = oos ? skuIndex.outOfStockByTypeCar : skuIndex.inStockByTypeCar;
+  const headerLabel = oos ? 'Out-of-Stock' : 'In-Stock';
+  const groups = [...(skuIndex.carsByType.get(r.type) || [])].sort()
+    .map(car => ({ car, variants: dedupeBySku(byTypeCar.get(`${r.type}::${car}`) || []) }))
+    .filter(g => g.variants.length);
+  const skus = groups.reduce((sum, g) => sum + g.variants.length, 0);
+
+  const thread = groups.slice(0, MAX_REPORT_CARS).map(({ car, variants }) => ({
+    text: `${headerLabel} ${r.type}/${car}`,
+    blocks: buildBlocksOneMessage({
+      type: r.type,
+      car,
+      variants: oos ? sortBySuffixAsc(variants) : sortByQtyDesc(variants),
+      headerLabel,
+      storeLabel: multiStore ? primaryStore.label : undefined,
+    }),
+  }));
+  let text = `${title} — *${headerLabel}* ${displayType(r.type)}: ${skus} SKU${skus === 1 ? '' : 's'} across ${groups.length} car${groups.length === 1 ? '' : 's'}`;
+  if (!groups.length) text += ' _(nothing to list)_';
+  else if (groups.length > thread.length) text += `\n_Showing the first ${thread.length} cars — use /stock-export ${r.type} for all of them._`;
+  return { summary: { text, blocks: withStalenessBanner([{ type: 'section', text: { type: 'mrkdwn', text } }]) }, thread };
+}
+
+async function runReport(r, client = app.client) {
+  try {
+    const { summary, thread } = buildReportMessages(r);
+    const posted = await client.chat.postMessage({ channel: r.channel, ...summary });
+    for (const msg of thread) {
+      await client.chat.postMessage({ channel: r.channel, thread_ts: posted.ts, ...msg });
+    }
+    r.lastError = null;
+    console.log(`🗓️ Report "${r.name}" posted to ${r.channel}`);
+  } catch (e) {
+    r.lastError = e?.data?.error || e?.message || String(e);
+    console.error(`❗Report "${r.name}" failed:`, r.lastError);
+  }
+  r.lastRunAt = new Date().toISOString();
+  await saveReports();
+}
+
+// Called once per minute by the scheduler; `minutes` are the minute starts to check
+async function runDueReports(minutes) {
+  if (!primaryStore.state.lastSuccessAt) {
+    if (reports.some(r => minutes.some(m => cronMatches(r.schedule, m)))) {
+      console.warn('⚠️ Skipping scheduled reports: the index has not been built yet.');
+    }
+    return;
+  }
+  for (const r of [...reports]) {
+    if (minutes.some(m => cronMatches(r.schedule, m))) await runReport(r);
+  }
+}
+
+// What's typed in the "Add a report" fields
+function reportDraft(values) {
+  const v = values || {};
+  return {
+    name: (v.report_name_block?.report_name?.value || '').trim(),
+    channel: v.report_channel_block?.report_channel?.selected_conversation || null,
+    cron: (v.report_cron_block?.report_cron?.value || '').trim().replace(/\s+/g, ' '),
+    kind: v.report_kind_block?.report_kind?.selected_option?.value || 'oos_summary',
+    type: (v.report_type_block?.report_type?.selected_option?.value || v.report_type_block?.report_type?.value || '').trim().toUpperCase(),
+  };
+}
+
+// draft (from reportDraft) refills the "Add a report" fields when the modal is re-rendered
+function buildReportsView(channel, draft = {}) {
+  const reportBlocks = reports.length
+    ? reports.slice(0, MAX_REPORTS_SHOWN).map(r => ({
+        type: 'section',
+        block_id: `report_${r.id}`,
+        text: { type: 'mrkdwn', text: describeReport(r) },
+        accessory: {
+          type: 'button',
+          action_id: 'report_delete',
+          text: { type: 'plain_text', text: 'Delete' },
+          style: 'danger',
+          value: r.id,
+        },
+      }))
+    : [{ type: 'section', text: { type: 'mrkdwn', text: '_No scheduled reports yet._' } }];
+
+  const typeOptions = optionsFromTypesWithPriority(skuIndex.types).slice(0, 100);
+  const kindOptions = Object.entries(REPORT_KINDS).map(([value, text]) => ({ text: { type: 'plain_text', text }, value }));
+  const postTo = draft.channel || channel;
+  const typeInitial = typeOptions.find(o => o.value === draft.type);
+
+  return {
+    type: 'modal',
+    callback_id: 'stock_report_submit',
+    private_metadata: JSON.stringify({ channel }),
+    title: { type: 'plain_text', text: 'Scheduled Reports' },
+    submit: { type: 'plain_text', text: 'Save' },
+    close: { type: 'plain_text', text: 'Close' },
     blocks: [
-      // TYPE (keep selection)
+      { type: 'header', text: { type: 'plain_text', text: 'Current reports' } },
+      ...reportBlocks,
+      { type: 'divider' },
+      { type: 'header', text: { type: 'plain_text', text: 'Add a report' } },
       {
         type: 'input',
-        block_id: 'type_block',
-dispatch_action: true, // ✅ tell Slack to send a block_actions payload on change
-        label: { type: 'plain_text', text: 'Choose a Product Type' },
+        block_id: 'report_name_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Name' },
         element: {
-          type: 'static_select',
-          action_id: 'ptype_select',
-          options: typeOptions,
-          initial_option: typeInitial,
-          placeholder: { type: 'plain_text', text: 'e.g., STEERINGWHEEL' }
-        }
+          type: 'plain_text_input',
+          action_id: 'report_name',
+          max_length: 60,
+          placeholder: { type: 'plain_text', text: 'e.g., Weekday OOS digest' },
+          ...(draft.name ? { initial_value: draft.name } : {}),
+        },
       },
-
-      // CAR (now with actual options for the chosen Type)
       {
-  type: 'input',
-  block_id: 'car_block',
-  label: { type: 'plain_text', text: 'Choose a Car' },
-  element: {
-    type: 'external_select',
-    action_id: 'car_select',
-    min_query_length: 0, // ← important: load options even without typing
-    placeholder: { type: 'plain_text', text: 'Pick a type first…' }
-  }
-},
-
-      // SORT (preserve defaults)
+        type: 'input',
+        block_id: 'report_channel_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Post to' },
+        element: {
+          type: 'conversations_select',
+          action_id: 'report_channel',
+          filter: { include: ['public', 'private'], exclude_bot_users: true },
+          ...(postTo ? { initial_conversation: postTo } : {}),
+        },
+      },
       {
         type: 'input',
-        block_id: 'sort_block',
-        label: { type: 'plain_text', text: 'Display order' },
+        block_id: 'report_cron_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Schedule (cron)' },
+        hint: { type: 'plain_text', text: 'minute hour day-of-month month day-of-week, server time. "0 8 * * 1-5" = weekdays 08:00, "0 9 * * 1" = Mondays 09:00.' },
         element: {
-          type: 'radio_buttons',
-          action_id: 'sort_choice',
-          options: [
-            { text: { type: 'plain_text', text: 'Alphabetical (A→Z)' }, value: 'alpha' },
-            { text: { type: 'plain_text', text: 'Quantity (High → Low)' }, value: 'qtydesc' }
-          ],
-          initial_option: { text: { type: 'plain_text', text: 'Quantity (High → Low)' }, value: 'qtydesc' }
-        }
+          type: 'plain_text_input',
+          action_id: 'report_cron',
+          placeholder: { type: 'plain_text', text: '0 8 * * 1-5' },
+          ...(draft.cron ? { initial_value: draft.cron } : {}),
+        },
       },
-
-      // Include OOS? (preserve defaults)
       {
         type: 'input',
-        block_id: 'oos_block',
-        label: { type: 'plain_text', text: 'Show only in-stock? Or also include out-of-stock?' },
+        block_id: 'report_kind_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Report' },
         element: {
           type: 'radio_buttons',
-          action_id: 'oos_choice',
-          options: [
-            { text: { type: 'plain_text', text: 'Only show in-stock SKUs' }, value: 'in_only' },
-            { text: { type: 'plain_text', text: 'Show in-stock AND out-of-stock SKUs' }, value: 'with_oos' }
-          ],
-          initial_option: { text: { type: 'plain_text', text: 'Only show in-stock SKUs' }, value: 'in_only' }
-        }
-      }
-    ]
+          action_id: 'report_kind',
+          options: kindOptions,
+          initial_option: kindOptions.find(o => o.value === draft.kind) || kindOptions[0],
+        },
+      },
+      {
+        type: 'input',
+        block_id: 'report_type_block',
+        optional: true,
+        label: { type: 'plain_text', text: 'Type (for the list reports)' },
+        element: typeOptions.length
+          ? { type: 'static_select', action_id: 'report_type', options: typeOptions, ...(typeInitial ? { initial_option: typeInitial } : {}) }
+          : { type: 'plain_text_input', action_id: 'report_type', ...(draft.type ? { initial_value: draft.type } : {}) },
+      },
+    ],
   };
+}
 
-  // 4) push the updated view (replace the current modal)
-  await client.views.update({
-    view_id: body.view.id,
-    hash: body.view.hash,       // prevents race conditions
-    view: newView
-  });
+// Reports post to shared channels, so managing them is for admins (like /stock-autoreply)
+app.command('/stock-report', async ({ ack, body, client }) => {
+  await ack();
+  if (!isAdmin(body.user_id)) {
+    await client.chat.postEphemeral({ channel: body.channel_id, user: body.user_id, text: '⛔ Only admins can manage scheduled reports.' });
+    return;
+  }
+  await client.views.open({ trigger_id: body.trigger_id, view: buildReportsView(body.channel_id) });
 });
 
-/* =========================
-   View submit: stock_picker_submit -> post results
-========================= */
-app.view('stock_picker_submit', async ({ ack, body, view, client }) => {
-  // Validate required fields
-  const errors = {};
-  const type = view.state.values?.type_block?.ptype_select?.selected_option?.value;
-  const car  = view.state.values?.car_block?.car_select?.selected_option?.value;
-  const sortChoice =
-    view.state.values?.sort_block?.sort_choice?.selected_option?.value || 'qtydesc';
-  const includeOpt =
-    view.state.values?.oos_block?.oos_choice?.selected_option?.value || 'in_only';
-
-  if (!type) errors['type_block'] = 'Please choose a Product Type.';
-  if (!car)  errors['car_block']  = 'Please choose a Car.';
+app.action('report_delete', async ({ ack, body, client }) => {
+  await ack();
+  if (!isAdmin(body.user.id)) return;
+  const id = body.actions?.[0]?.value;
+  const gone = reports.find(r => r.id === id);
+  reports = reports.filter(r => r.id !== id);
+  await saveReports();
+  if (gone) console.log(`🗑️ Report "${gone.name}" deleted by ${body.user.id}`);
+  const { channel } = JSON.parse(body.view.private_metadata || '{}');
+  // Keep whatever was already typed in the "Add a report" fields
+  await client.views.update({ view_id: body.view.id, view: buildReportsView(channel, reportDraft(body.view.state?.values)) });
+});
 
+app.view('stock_report_submit', async ({ ack, body, view }) => {
+  const { name, channel, cron, kind, type } = reportDraft(view.state.values);
 
+  // Nothing typed in the "Add" section: just close
+  if (!name && !cron) {
+    await ack();
+    return;
+  }
 
+  const errors = {};
+  let schedule = null;
+  if (!name) errors['report_name_block'] = 'Name the report.';
+  else if (reports.some(r => r.name.toLowerCase() === name.toLowerCase())) errors['report_name_block'] = 'A report with this name already exists.';
+  if (!channel) errors['report_channel_block'] = 'Pick a channel.';
+  try {
+    schedule = parseCron(cron);
+    if (!nextCronRun(schedule)) errors['report_cron_block'] = 'This schedule never runs.';
+  } catch (e) {
+    errors['report_cron_block'] = e.message;
+  }
+  if (kind !== 'oos_summary' && !type) errors['report_type_block'] = 'Pick the Type to list.';
+  else if (kind !== 'oos_summary' && !skuIndex.types.has(type)) errors['report_type_block'] = `Unknown type ${type}.`;
+  if (!isAdmin(body.user.id)) errors['report_name_block'] = 'Only admins can manage scheduled reports.';
   if (Object.keys(errors).length) {
     await ack({ response_action: 'errors', errors });
     return;
   }
+  await ack();
 
-  await ack(); // close modal
+  reports.push({
+    id: crypto.randomUUID(),
+    name,
+    channel,
+    cron,
+    kind,
+    type: kind === 'oos_summary' ? null : type,
+    createdBy: body.user.id,
+    lastRunAt: null,
+    lastError: null,
+    schedule,
+  });
+  await saveReports();
+  console.log(`🗓️ Report "${name}" (${cron}) added by ${body.user.id}`);
+});
 
-  // Where to post
-  const md = JSON.parse(view.private_metadata || '{}');
-  const channel = md.channel;
+/* =========================
+   Background refresher (keeps index fresh w/o heavy pings)
+========================= */
+function startBackgroundRefresh() {
+  for (const store of stores.values()) {
+    const state = store.state;
+    // Initial refresh (non-blocking after boot sanity check)
+    refreshSkuIndex({ reason: 'boot', store }).catch(e => console.error(`${storeTag(store)}Initial refresh failed:`, e?.message || e));
 
-  const key = `${type}::${car}`;
-  const inStock = skuIndex.inStockByTypeCar.get(key) || [];
-  const oosList = skuIndex.outOfStockByTypeCar.get(key) || [];
+    const intervalMs = store.refreshIntervalMin * 60 * 1000;
+    state.nextScheduledAt = new Date(Date.now() + JITTER_SEC * 1000 + intervalMs);
+    setTimeout(() => {
+      setInterval(() => {
+        state.nextScheduledAt = new Date(Date.now() + intervalMs);
+        refreshSkuIndex({ reason: 'schedule', store }).catch(e => console.error(`${storeTag(store)}Scheduled refresh failed:`, e?.message || e));
+      }, intervalMs);
+    }, JITTER_SEC * 1000);
 
-  const choice = sortChoice === 'alpha' ? 'alpha' : 'qtydesc';
+    console.log(`🕒 ${storeTag(store)}Background refresh every ${store.refreshIntervalMin} min (jitter ${JITTER_SEC}s).`);
+  }
+}
 
-  if (includeOpt === 'in_only') {
-    if (!inStock.length) {
-      await client.chat.postMessage({ channel, text: `No in-stock variants for *${type}* / *${car}*.` });
-      return;
+// Scheduled reports: wake just after each minute boundary and run what's due.
+// A late tick (busy event loop, laptop sleep) still checks the minutes it slept through.
+function startReportScheduler() {
+  let lastMinute = Math.floor(Date.now() / 60000);
+  const tick = () => {
+    const minute = Math.floor(Date.now() / 60000);
+    const minutes = [];
+    for (let m = Math.max(lastMinute + 1, minute - MAX_MISSED_MINUTES + 1); m <= minute; m++) minutes.push(new Date(m * 60000));
+    lastMinute = Math.max(lastMinute, minute);
+    if (minutes.length) runDueReports(minutes).catch(e => console.error('❗Scheduled reports failed:', e?.message || e));
+    setTimeout(tick, 60000 - (Date.now() % 60000) + 500);
+  };
+  setTimeout(tick, 60000 - (Date.now() % 60000) + 500);
+  console.log(`🗓️ Report scheduler running (${reports.length} report${reports.length === 1 ? '' : 's'}).`);
+}
+
+/* =========================
+   Incremental index updates (Shopify webhooks)
+   Patches skuIndex in place between full refreshes; the periodic
+   refreshSkuIndex stays the reconciliation pass (types/cars that
+   disappear here are only pruned by the next full rebuild).
+========================= */
+const gid = (kind, id) => `gid://shopify/${kind}/${id}`;
+
+// All entries (in-stock and OOS) matching pred, with where they live
+function findIndexEntries(pred, idx = skuIndex) {
+  const found = [];
+  for (const [list, map] of [['in', idx.inStockByTypeCar], ['oos', idx.outOfStockByTypeCar]]) {
+    for (const [key, arr] of map) {
+      for (const entry of arr) if (pred(entry)) found.push({ key, entry, list });
     }
-    let variants = dedupeBySku(inStock);
-    variants = choice === 'alpha' ? sortBySuffixAsc(variants) : sortByQtyDesc(variants);
-    const blocks = buildBlocksOneMessage({ type, car, variants, headerLabel: 'In-Stock' });
-    await client.chat.postMessage({ channel, text: `${type}/${car} in-stock SKUs`, blocks });
+  }
+  return found;
+}
+
+function removeIndexEntry({ key, entry, list }, idx = skuIndex) {
+  const map = list === 'in' ? idx.inStockByTypeCar : idx.outOfStockByTypeCar;
+  const arr = (map.get(key) || []).filter(e => e !== entry);
+  if (arr.length) map.set(key, arr); else map.delete(key);
+}
+
+// inventory_levels/update: { inventory_item_id, location_id, available }
+function applyInventoryLevelUpdate(payload, idx) {
+  return setIndexLevel(
+    gid('InventoryItem', payload.inventory_item_id),
+    gid('Location', payload.location_id),
+    Number(payload.available ?? 0),
+    idx,
+  );
+}
+
+// Set one item's available quantity at one location and re-file its entries; returns entries touched.
+// Returns 0 when the index has no level for that location to diff against (paged refreshes
+// only read LOCATIONS_PER_VARIANT levels): callers then re-fetch the variant with indexInventoryItem.
+function setIndexLevel(itemId, locId, qty, idx = skuIndex) {
+  const hits = findIndexEntries(e => e.inventoryItemId === itemId, idx);
+  if (hits.some(({ entry }) => !Object.hasOwn(entry.byLocation || {}, locId))) return 0;
+
+  for (const hit of hits) {
+    const { entry } = hit;
+    const byLocation = { ...entry.byLocation, [locId]: qty };
+    // Apply the change to the signed total rather than summing byLocation: the total covers
+    // every location, and an oversold variant's negative stock must not be taken as 0
+    const delta = qty - Number(entry.byLocation[locId]);
+    const available = Number(entry.signedAvailable ?? entry.available ?? 0) + delta;
+    // on_hand moves with available; committed/incoming/reserved wait for the next refresh
+    const bump = (st) => st && { ...st, on_hand: st.on_hand + delta };
+    const states = bump(entry.states);
+    const statesByLocation = entry.statesByLocation && {
+      ...entry.statesByLocation,
+      [locId]: bump(entry.statesByLocation[locId] || Object.fromEntries(EXTRA_STATES.map(n => [n, 0]))),
+    };
+    removeIndexEntry(hit, idx);
+    placeIndexEntry(idx, hit.key, { ...entry, byLocation, available, signedAvailable: available, states, statesByLocation });
+  }
+  return hits.length;
+}
+
+// A level update setIndexLevel can't apply (item hidden while out of stock, new since the last
+// refresh, or a location the refresh didn't read): fetch that one variant and re-file it
+// rather than wait for the next full refresh
+async function indexInventoryItem(store, itemId, idx = store.index) {
+  const json = await shopifyGQL(INVENTORY_ITEM_VARIANT_GQL, { id: itemId }, store);
+  const v = json?.data?.inventoryItem?.variant;
+  if (!v) return 0;
+  for (const hit of findIndexEntries(e => e.inventoryItemId === itemId, idx)) removeIndexEntry(hit, idx);
+  addVariantToIndex(idx, v);
+  return findIndexEntries(e => e.inventoryItemId === itemId, idx).length;
+}
+
+// products/update: re-file every variant of the product from the REST payload
+function applyProductUpdate(product, idx) {
+  const productId = gid('Product', product.id);
+  const previous = new Map(); // variantId -> entry (the payload has totals only)
+  for (const hit of findIndexEntries(e => e.productId === productId, idx)) {
+    previous.set(hit.entry.variantId, hit.entry);
+    removeIndexEntry(hit, idx);
+  }
+
+  for (const pv of product.variants || []) {
+    const variantId = gid('ProductVariant', pv.id);
+    const before = previous.get(variantId);
+    const levels = Object.entries(before?.byLocation || {}).map(([id, quantity]) => ({
+      node: {
+        location: { id, name: idx.locations.get(id) || id },
+        quantities: [
+          { name: 'available', quantity },
+          ...Object.entries(before.statesByLocation?.[id] || {}).map(([name, q]) => ({ name, quantity: q })),
+        ],
+      },
+    }));
+    addVariantToIndex(idx, {
+      id: variantId,
+      sku: pv.sku,
+      inventoryQuantity: pv.inventory_quantity,
+      product: { id: productId, title: product.title, vendor: product.vendor, tags: product.tags },
+      inventoryItem: { id: gid('InventoryItem', pv.inventory_item_id), inventoryLevels: { edges: levels } },
+    });
+  }
+  return (product.variants || []).length;
+}
+
+// products/delete: { id }
+function applyProductDelete(payload, idx) {
+  const productId = gid('Product', payload.id);
+  const hits = findIndexEntries(e => e.productId === productId, idx);
+  hits.forEach(hit => removeIndexEntry(hit, idx));
+  return hits.length;
+}
+
+const WEBHOOK_HANDLERS = {
+  'inventory_levels/update': applyInventoryLevelUpdate,
+  'products/update': applyProductUpdate,
+  'products/delete': applyProductDelete,
+};
+
+function verifyShopifyHmac(rawBody, hmacHeader, secret) {
+  if (!secret || !hmacHeader) return false;
+  const digest = crypto.createHmac('sha256', secret).update(rawBody).digest();
+  const given = Buffer.from(String(hmacHeader), 'base64');
+  return given.length === digest.length && crypto.timingSafeEqual(given, digest);
+}
+
+function handleShopifyWebhook(req, rawBody, res) {
+  // Each shop signs with its own secret; a single store accepts any shop domain
+  const store = storeForDomain(req.headers['x-shopify-shop-domain']) || (multiStore ? null : primaryStore);
+  if (!store) {
+    console.warn(`⚠️ Webhook rejected: unknown shop ${req.headers['x-shopify-shop-domain'] || '(none)'}`);
+    res.writeHead(401).end();
+    return;
+  }
+  if (!verifyShopifyHmac(rawBody, req.headers['x-shopify-hmac-sha256'], store.webhookSecret)) {
+    console.warn('⚠️ Webhook rejected: bad or missing HMAC');
+    res.writeHead(401).end();
     return;
   }
+  // Acknowledge right away; Shopify retries anything slower than a few seconds.
+  res.writeHead(200).end();
 
-  // with_oos
-  let combined = dedupeBySku([ ...(inStock || []), ...(oosList || []) ]);
-  if (!combined.length) {
-    await client.chat.postMessage({ channel, text: `No variants (in-stock or out-of-stock) for *${type}* / *${car}*.` });
+  const topic = String(req.headers['x-shopify-topic'] || '');
+  const handler = WEBHOOK_HANDLERS[topic];
+  if (!handler) {
+    console.warn(`⚠️ Webhook topic not handled: ${topic || '(none)'}`);
     return;
   }
-  combined = choice === 'alpha' ? sortBySuffixAsc(combined) : sortByQtyDesc(combined);
-  const blocks = buildBlocksOneMessage({ type, car, variants: combined, headerLabel: 'In-Stock + OOS' });
-  await client.chat.postMessage({ channel, text: `${type}/${car} variants (in-stock + OOS)`, blocks });
-});
+  applyWebhook(store, topic, handler, rawBody).catch(e => console.error(`❗Webhook ${topic} failed:`, e));
+}
 
+async function applyWebhook(store, topic, handler, rawBody) {
+  const idx = store.index;
+  const payload = JSON.parse(rawBody.toString('utf8'));
+  const before = availableBySku(idx);
+  const touched = await patchStoreIndex(store, async (target) => {
+    const n = handler(payload, target);
+    if (n || topic !== 'inventory_levels/update') return n;
+    return indexInventoryItem(store, gid('InventoryItem', payload.inventory_item_id), target);
+  });
+  console.log(`🪝 ${storeTag(store)}${topic}: patched ${touched} index entr${touched === 1 ? 'y' : 'ies'}`);
+  // History, alerts and watches follow the primary store only
+  if (store !== primaryStore) return;
+  await handleInventoryChanges(diffAvailability(before, availableBySku(idx)));
+}
 
 /* =========================
-   Slash: /stock-refresh (ASYNC)
+   HTTP server (Socket Mode has none of its own)
+   /health, /ready, /status, /refresh and the Shopify webhook receiver
 ========================= */
-app.command('/stock-refresh', async ({ ack, body, client, logger }) => {
-  // 1) immediate ACK so Slack never times out
-  await ack();
+const MAX_BODY_BYTES = 5 * 1024 * 1024;
 
-  const channel = body.channel_id;
-  const user = body.user_id;
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', (c) => {
+      size += c.length;
+      if (size > MAX_BODY_BYTES) { reject(new Error('Body too large')); req.destroy(); return; }
+      chunks.push(c);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
 
-  // 2) optional: tell the requester we started
-  try {
-    await client.chat.postEphemeral({ channel, user, text: '🔄 Refreshing inventory index…' });
-  } catch (e) {
-    logger?.warn?.('Could not post ephemeral pre-refresh notice', e);
-  }
+// Snapshot for /status (and anything else that wants numbers rather than prose)
+function indexStatus(store = primaryStore) {
+  const { state, index } = store;
+  const totalCars = [...index.carsByType.values()].reduce((a, s) => a + s.size, 0);
+  const ageMin = state.lastSuccessAt ? (Date.now() - state.lastSuccessAt.getTime()) / 60000 : null;
+  return {
+    lastRefreshAt: state.lastSuccessAt?.toISOString() || null,
+    lastAttemptAt: state.lastAttemptAt?.toISOString() || null,
+    lastDurationMs: state.lastDurationMs,
+    lastError: state.lastError,
+    ageMinutes: ageMin == null ? null : Math.round(ageMin * 10) / 10,
+    stale: ageMin == null || ageMin > STALE_AFTER_MIN,
+    variantCount: state.lastVariantCount,
+    lastCost: state.lastCost,
+    typeCount: index.types.size,
+    carCount: totalCars,
+    locationCount: index.locations.size,
+  };
+}
 
-  // 3) run refresh in the background (no blocking)
-  setTimeout(async () => {
+function sendJson(res, code, body) {
+  res.writeHead(code, { 'Content-Type': 'application/json' }).end(JSON.stringify(body));
+}
+
+function refreshAuthorized(req, url) {
+  if (!REFRESH_TOKEN) return false;
+  const bearer = String(req.headers.authorization || '').replace(/^Bearer\s+/i, '');
+  const given = Buffer.from(url.searchParams.get('token') || bearer);
+  const want = Buffer.from(REFRESH_TOKEN);
+  return given.length === want.length && crypto.timingSafeEqual(given, want);
+}
+
+function startHttpServer(port) {
+  const server = http.createServer(async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const { pathname } = url;
     try {
-      await refreshSkuIndex();
-      await client.chat.postEphemeral({ channel, user, text: '✅ Inventory index refreshed.' });
-    } catch (e) {
-      logger?.error?.('refreshSkuIndex failed', e);
-      await client.chat.postEphemeral({ channel, user, text: '❌ Refresh failed. Check Render logs for ❗ errors.' });
-    }
-  }, 0);
-});
+      if (req.method === 'POST' && pathname === WEBHOOK_PATH) {
+        handleShopifyWebhook(req, await readBody(req), res);
+        return;
+      }
 
-/* =========================
-   Background refresher (keeps index fresh w/o heavy pings)
-========================= */
-function startBackgroundRefresh() {
-  // Initial refresh (non-blocking after boot sanity check)
-  refreshSkuIndex().catch(e => console.error('Initial refresh failed:', e?.message || e));
+      // Liveness: the process is up and serving
+      if (pathname === '/health') {
+        sendJson(res, 200, { ok: true });
+        return;
+      }
+
+      // Readiness: every store has an index loaded and not older than STALE_AFTER_MIN
+      if (pathname === '/ready') {
+        const all = [...stores.values()].map(store => indexStatus(store));
+        const ready = all.every(st => st.typeCount > 0 && !st.stale);
+        const st = all[0];
+        sendJson(res, ready ? 200 : 503, { ready, lastRefreshAt: st.lastRefreshAt, ageMinutes: st.ageMinutes });
+        return;
+      }
 
-  const intervalMs = REFRESH_INTERVAL_MIN * 60 * 1000;
-  setTimeout(() => {
-    setInterval(() => {
-      refreshSkuIndex().catch(e => console.error('Scheduled refresh failed:', e?.message || e));
-    }, intervalMs);
-  }, JITTER_SEC * 1000);
+      // Primary store at the top level (as before), every store under `stores` when there are several
+      if (pathname === '/status') {
+        const body = indexStatus();
+        if (multiStore) body.stores = Object.fromEntries([...stores.values()].map(store => [store.id, indexStatus(store)]));
+        sendJson(res, 200, body);
+        return;
+      }
+
+      if (pathname === '/refresh' && (req.method === 'GET' || req.method === 'POST')) {
+        if (!refreshAuthorized(req, url)) {
+          sendJson(res, REFRESH_TOKEN ? 401 : 403, { error: REFRESH_TOKEN ? 'bad token' : 'refresh endpoint disabled (no REFRESH_TOKEN)' });
+          return;
+        }
+        sendJson(res, 202, { accepted: true });
+        refreshSkuIndex({ reason: 'HTTP /refresh' }).catch(e => console.error('HTTP-triggered refresh failed:', e?.message || e));
+        return;
+      }
 
-  console.log(`🕒 Background refresh every ${REFRESH_INTERVAL_MIN} min (jitter ${JITTER_SEC}s).`);
+      res.writeHead(404).end();
+    } catch (e) {
+      console.error('❗HTTP request failed:', e?.message || e);
+      if (!res.headersSent) res.writeHead(400).end();
+    }
+  });
+  // A busy PORT shouldn't take Slack down with it: log and keep the bot running without HTTP
+  server.on('error', (e) => {
+    const why = e?.code === 'EADDRINUSE' ? `port ${port} is already in use (set PORT to a free one)` : e?.message || e;
+    console.error(`❗HTTP server unavailable: ${why}. Slack commands keep working; /health, /ready, /refresh and webhooks do not.`);
+  });
+  server.listen(port);
+  return server;
 }
 
 /* =========================
@@ -638,11 +4301,24 @@ function startBackgroundRefresh() {
 ========================= */
 (async () => {
   const port = process.env.PORT || 3000;
+  await loadSkuGrammar();
+  await loadCatalogConfig();
+  watchCatalogConfig();
+  for (const store of stores.values()) await loadIndexFromDisk(store); // warm start: /stock works before the first refresh lands
+  await loadHistoryFromDisk();
+  startHistoryCompaction();
+  await loadAlertConfig();
+  await loadWatches();
+  await loadAutoReplyChannels();
+  await loadPresets();
+  await loadHomeViewers();
+  await loadReports();
   await app.start();
+  startHttpServer(port);
   console.log(`✅ inventory-picker running on port ${port}`);
 
   try {
-    await sanityCheckShopify();
+    for (const store of stores.values()) await sanityCheckShopify(store);
   } catch (e) {
     console.error('⚠️ Post-start sanity check failed:', e?.message || e);
     // do NOT throw; keep the bot running
@@ -650,4 +4326,5 @@ function startBackgroundRefresh() {
 
   // Kick off periodic refreshes (use /stock-refresh for manual).
   startBackgroundRefresh();
+  startReportScheduler();
 })();
\ No newline at end of file